@@ -0,0 +1,178 @@
+"use strict";
+
+const _ = require("underscore");
+const types = require("./types");
+
+const comparisons = {
+    $eq: "=",
+    $ne: "<>",
+    $gt: ">",
+    $gte: ">=",
+    $lt: "<",
+    $lte: "<=",
+    $like: "LIKE",
+    $ilike: "ILIKE"
+};
+
+/**
+ * Translates plain criteria objects keyed by model attribute names into SQL conditions. Every value is bound as a
+ * numbered placeholder and pushed onto `values`, so a single Criteria can be shared by several clauses of one
+ * statement and the numbering stays consistent.
+ *
+ *     { name: "foo", rating: { $gte: 3 }, $or: [{ description: { $null: true } }, { description: { $like: "%x%" } }] }
+ */
+function Criteria(model, values, alias) {
+    const self = this;
+
+    self.model = model;
+    self.values = values || [];
+    self.alias = alias || null;
+}
+
+Criteria.isOperators = function(cond) {
+    if (!_.isObject(cond) || Object.getPrototypeOf(cond) !== Object.prototype) {
+        return false;
+    }
+
+    const keys = Object.keys(cond);
+
+    return keys.length > 0 && keys.every(function(key) {
+        return key.charAt(0) === "$";
+    });
+};
+
+Criteria.prototype = {
+    model: null,
+    values: null,
+    alias: null,
+
+    column: function(attrName) {
+        const self = this;
+        const attr = self.model.attrs[attrName];
+
+        if (!attr) {
+            throw new Error("Unknown attribute " + attrName);
+        }
+
+        return self.alias ? self.alias + "." + attr.column : attr.column;
+    },
+
+    /**
+     * Binds `value` for comparison with an attribute, converting it like attribute values are converted for writes.
+     */
+    attrParam: function(attrName, value) {
+        const self = this;
+
+        return self.param(types.convert(self.model.attrs[attrName].type, "toDb", value));
+    },
+
+    param: function(value) {
+        const self = this;
+
+        self.values.push(value);
+
+        return "$" + self.values.length;
+    },
+
+    build: function(where) {
+        const self = this;
+
+        if (!where) {
+            return "";
+        }
+
+        const conditions = Object.keys(where).map(function(key) {
+            const cond = where[key];
+
+            if (key === "$and" || key === "$or") {
+                return self.group(key === "$and" ? "AND" : "OR", cond);
+            } else if (key === "$not") {
+                const inner = self.build(cond);
+
+                return inner ? "NOT (" + inner + ")" : "";
+            } else {
+                return self.attr(key, cond);
+            }
+        }).filter(function(condition) {
+            return condition !== "";
+        });
+
+        return conditions.join(" AND ");
+    },
+
+    group: function(joiner, wheres) {
+        const self = this;
+
+        if (!_.isArray(wheres)) {
+            throw new Error("Expected array of criteria, got " + wheres);
+        }
+
+        const conditions = wheres.map(function(where) {
+            return self.build(where);
+        }).filter(function(condition) {
+            return condition !== "";
+        });
+
+        if (conditions.length === 0) {
+            return "";
+        }
+
+        return "((" + conditions.join(") " + joiner + " (") + "))";
+    },
+
+    attr: function(attrName, cond) {
+        const self = this;
+        const column = self.column(attrName);
+
+        if (!Criteria.isOperators(cond)) {
+            return cond === null || typeof cond === "undefined" ?
+                column + " IS NULL" :
+                column + " = " + self.attrParam(attrName, cond);
+        }
+
+        return Object.keys(cond).map(function(op) {
+            const value = cond[op];
+
+            if (comparisons.hasOwnProperty(op)) {
+                if (value === null && (op === "$eq" || op === "$ne")) {
+                    return column + (op === "$eq" ? " IS NULL" : " IS NOT NULL");
+                }
+
+                return column + " " + comparisons[op] + " " + self.attrParam(attrName, value);
+            } else if (op === "$in" || op === "$nin") {
+                if (!_.isArray(value)) {
+                    throw new Error("Expected array for " + op + ", got " + value);
+                }
+
+                if (value.length === 0) {
+                    return op === "$in" ? "FALSE" : "TRUE";
+                }
+
+                return column + (op === "$in" ? " IN (" : " NOT IN (") + value.map(function(v) {
+                    return self.attrParam(attrName, v);
+                }).join(", ") + ")";
+            } else if (op === "$null") {
+                return column + (value ? " IS NULL" : " IS NOT NULL");
+            } else {
+                throw new Error("Unknown operator " + op);
+            }
+        }).join(" AND ");
+    },
+
+    /**
+     * Translates `orderBy` into [column, ascending] pairs. Accepts an attribute name or an array of them, each
+     * optionally prefixed with "-" for descending order.
+     */
+    order: function(orderBy) {
+        const self = this;
+        const attrNames = _.isArray(orderBy) ? orderBy : [orderBy];
+
+        return attrNames.map(function(attrName) {
+            const desc = attrName.charAt(0) === "-";
+
+            return [self.column(desc ? attrName.slice(1) : attrName), !desc];
+        });
+    }
+};
+
+module.exports = Criteria;
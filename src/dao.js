@@ -3,219 +3,1499 @@
 const squel = require("squel");
 const bluebird = require("bluebird");
 const _ = require("underscore");
+const stream = require("stream");
+const Criteria = require("./criteria");
+const types = require("./types");
+const Transaction = require("./transaction");
+const errors = require("./errors");
 
 squel.useFlavour("postgres");
 
-function DAO(model, schema) {
+// postgres caps the number of bind parameters of a single statement
+const MAX_PARAMETERS = 65535;
+
+// the clients of each pool that DAO transactions run on, latest last, for calls without a connection to join
+const scopes = new WeakMap();
+
+// methods taking the connection to use as their first argument
+const CONNECTION_METHODS = ["save", "upsert", "saveAll", "update", "destroy", "restore", "updateWhere",
+    "destroyWhere", "get", "getOrFail", "list", "find", "findOne", "loadRelated", "createTable", "dropTable", "count",
+    "sum", "avg", "min", "max", "aggregate", "query", "stream"];
+
+/**
+ * Every method takes the connection to use as its first argument. Given `opts.pool`, the connection may be left out
+ * and a client is checked out of the pool for the call instead, see DAO.withConnection. `opts.batchSize` is the
+ * number of rows streams fetch at a time, 100 by default.
+ */
+function DAO(model, schema, opts) {
     const self = this;
 
     self.model = model;
     self.schema = schema || null;
+    self.pool = opts && opts.pool || null;
+    self.batchSize = opts && opts.batchSize || 100;
 }
 
 DAO.tableRef = function(schema, table) {
     return schema ? schema + "." + table : table;
 };
 
-DAO.prototype = {
-    model: null,
-    schema: null,
+DAO.StaleObjectError = errors.StaleObjectError;
 
-    save: bluebird.coroutine(function*(conn, obj, opts) {
-        const self = this;
-        const model = obj.__model__;
-        const preCreate = model.hooks.preCreate;
-        const postCreate = model.hooks.postCreate;
+/**
+ * Restricts criteria on a soft deleting model to rows that aren't deleted, or to deleted ones with
+ * `opts.onlyDeleted`. `opts.withDeleted` lifts the restriction.
+ */
+function scoped(model, where, opts) {
+    if (!model.softDelete || opts && opts.withDeleted) {
+        return where;
+    }
 
-        if (_.isArray(preCreate)) {
-            for (let i = 0; i < preCreate.length; i++) {
-                preCreate[i].call(obj.__self__);
-            }
+    const deleted = {};
+
+    deleted[model.softDelete] = { $null: !(opts && opts.onlyDeleted) };
+
+    return where ? { $and: [where, deleted] } : deleted;
+}
+
+/**
+ * Runs the named hooks of a model in order, with the model as `this` and the connection and options as arguments.
+ * Hooks may return promises, which are waited for before the next hook runs, and abort the operation by throwing
+ * or rejecting.
+ */
+const runHooks = bluebird.coroutine(function*(obj, name, conn, opts) {
+    const hooks = obj.__model__.hooks[name];
+
+    if (_.isArray(hooks)) {
+        for (let i = 0; i < hooks.length; i++) {
+            yield bluebird.resolve(hooks[i].call(obj.__self__, conn, opts));
         }
+    }
+});
 
-        obj.validate();
+/**
+ * Copies the values of a row returned by a write back onto the model.
+ */
+function assignRow(obj, row) {
+    const values = obj.__model__.fromRow(row);
+    const attrNames = Object.keys(values);
 
-        const attrs = obj.attr();
-        const attrNames = Object.keys(attrs);
-        const attrValues = [];
-        const q = squel.insert({ usingValuePlaceholders: true })
-            .into(DAO.tableRef(opts && opts.schema || self.schema, model.table));
+    for (let i = 0; i < attrNames.length; i++) {
+        obj[attrNames[i]] = values[attrNames[i]];
+    }
+}
+
+/**
+ * Runs a statement on behalf of `model`, translating the errors postgres reports, see errors.fromPg.
+ */
+function execute(model, conn, sql, values) {
+    return conn.queryAsync(sql, values).catch(function(ex) {
+        throw errors.fromPg(ex, model);
+    });
+}
+
+/**
+ * Throws unless `where` narrows down the rows or `opts.all` is set, so that set-based writes given no criteria by
+ * mistake don't hit the whole table.
+ */
+function requireCriteria(model, where, opts) {
+    if (!(opts && opts.all) && !new Criteria(model).build(where)) {
+        throw new Error("Expected criteria, set opts.all to write every row");
+    }
+}
+
+/**
+ * Builds the SELECT for `list` and friends. `seek`, if given, is called with the Criteria to add a condition built by
+ * hand.
+ */
+function select(dao, where, opts, seek) {
+    const model = dao.model;
+    const criteria = new Criteria(model);
+    const q = squel.select()
+        .from(DAO.tableRef(opts && opts.schema || dao.schema, model.table));
+    const conditions = [criteria.build(scoped(model, where, opts)), seek ? seek(criteria) : ""].filter(function(cond) {
+        return cond !== "";
+    });
+
+    if (conditions.length > 0) {
+        q.where(conditions.join(" AND "));
+    }
+
+    if (opts && opts.orderBy) {
+        criteria.order(opts.orderBy).forEach(function(order) {
+            q.order(order[0], order[1]);
+        });
+    } else if (model.ids.length > 0) {
+        criteria.order(model.ids).forEach(function(order) {
+            q.order(order[0], order[1]);
+        });
+    }
+
+    if (opts) {
+        if (opts.limit) {
+            q.limit(opts.limit);
+        }
+
+        if (opts.offset) {
+            q.offset(opts.offset);
+        }
+    }
+
+    return [q].concat(criteria.values);
+}
+
+/**
+ * Translates `orderBy` into the [attrName, ascending] keys of a keyset, followed by the id attrs not in it so that
+ * the keys are unique.
+ */
+function keysetKeys(model, orderBy) {
+    const keys = [].concat(orderBy || []).map(function(attrName) {
+        const desc = attrName.charAt(0) === "-";
+
+        return [desc ? attrName.slice(1) : attrName, !desc];
+    });
+
+    if (model.ids.length === 0) {
+        throw new Error("Keyset pagination needs id attributes");
+    }
+
+    model.ids.forEach(function(attrName) {
+        const sorted = keys.some(function(key) {
+            return key[0] === attrName;
+        });
+
+        if (!sorted) {
+            keys.push([attrName, true]);
+        }
+    });
+
+    return keys;
+}
+
+function keysetOrderBy(keys, reverse) {
+    return keys.map(function(key) {
+        const asc = reverse ? !key[1] : key[1];
+
+        return (asc ? "" : "-") + key[0];
+    });
+}
+
+function encodeCursor(keys, obj) {
+    return Buffer.from(JSON.stringify({
+        keys: keysetOrderBy(keys),
+        values: keys.map(function(key) {
+            return obj[key[0]];
+        })
+    })).toString("base64");
+}
+
+function decodeCursor(model, keys, cursor) {
+    let decoded = null;
+
+    try {
+        decoded = JSON.parse(Buffer.from(cursor, "base64").toString());
+    } catch (ex) {
+        throw new Error("Invalid cursor");
+    }
+
+    if (!decoded || !_.isEqual(decoded.keys, keysetOrderBy(keys)) || !_.isArray(decoded.values) ||
+        decoded.values.length !== keys.length) {
+        throw new Error("Invalid cursor for this ordering");
+    }
+
+    // values went through JSON, so dates and the like need coercing back
+    return decoded.values.map(function(value, i) {
+        return types.convert(model.attrs[keys[i][0]].type, "coerce", value);
+    });
+}
 
-        for (let i = 0, p = 0; i < attrNames.length; i++) {
-            const attrName = attrNames[i];
-            const columnName = model.attrs[attrNames[i]].column || attrName;
-            const attrValue = attrs[attrName];
+function seekEquals(criteria, attrName, value) {
+    return criteria.column(attrName) + (value === null ? " IS NULL" : " = " + criteria.attrParam(attrName, value));
+}
+
+// nulls sort after every value, as postgres sorts them unless told otherwise
+function seekPast(criteria, attrName, value, upwards, nullable) {
+    const column = criteria.column(attrName);
+
+    if (value === null) {
+        return upwards ? "FALSE" : column + " IS NOT NULL";
+    } else if (upwards && nullable) {
+        return "(" + column + " > " + criteria.attrParam(attrName, value) + " OR " + column + " IS NULL)";
+    }
+
+    return column + (upwards ? " > " : " < ") + criteria.attrParam(attrName, value);
+}
+
+/**
+ * Builds the condition selecting the rows after `values` in the order of `keys`, or before them when `reverse`. Not
+ * null keys all sorted the same way compare as a row, others expand to `a > $1 OR (a = $1 AND b < $2) ...` with
+ * the comparisons taking nulls into account.
+ */
+function seekCondition(criteria, model, keys, values, reverse) {
+    const upwards = function(key) {
+        return key[1] !== reverse;
+    };
+    const nullable = keys.map(function(key) {
+        return !model.isNotNull(key[0]);
+    });
+    const uniform = keys.every(function(key, i) {
+        return key[1] === keys[0][1] && !nullable[i];
+    });
+
+    if (uniform) {
+        return "(" + keys.map(function(key) {
+            return criteria.column(key[0]);
+        }).join(", ") + ")" + (upwards(keys[0]) ? " > " : " < ") + "(" + keys.map(function(key, i) {
+            return criteria.attrParam(key[0], values[i]);
+        }).join(", ") + ")";
+    }
+
+    return "(" + keys.map(function(key, i) {
+        return "(" + keys.slice(0, i).map(function(prev, j) {
+            return seekEquals(criteria, prev[0], values[j]);
+        }).concat(seekPast(criteria, key[0], values[i], upwards(key), nullable[i])).join(" AND ") + ")";
+    }).join(" OR ") + ")";
+}
+
+/**
+ * Lists a page of `opts.limit` models after the `opts.after` cursor, or before the `opts.before` one, in
+ * `opts.orderBy` order. Resolves to the page along with the cursors of the pages next to it, null when there are none.
+ */
+const keysetPage = bluebird.coroutine(function*(dao, conn, where, opts) {
+    const model = dao.model;
+    const keys = keysetKeys(model, opts.orderBy);
+    const reverse = !!opts.before;
+    const cursor = reverse ? opts.before : opts.after;
+    const values = cursor ? decodeCursor(model, keys, cursor) : null;
+
+    if (!opts.limit) {
+        throw new Error("Expected limit for keyset pagination");
+    }
+
+    const args = select(dao, where, _.extend({}, opts, {
+        orderBy: keysetOrderBy(keys, reverse),
+        limit: opts.limit + 1,
+        offset: null
+    }), values ? function(criteria) {
+        return seekCondition(criteria, model, keys, values, reverse);
+    } : null);
+    const objs = yield dao.query.apply(dao, [conn].concat(args)).collectResults();
+    const more = objs.length > opts.limit;
+    const page = more ? objs.slice(0, opts.limit) : objs;
+
+    if (reverse) {
+        page.reverse();
+    }
+
+    if (opts.include && page.length > 0) {
+        yield dao.loadRelated(conn, page, opts.include, opts);
+    }
+
+    if (page.length === 0) {
+        return { objs: page, nextCursor: null, prevCursor: null };
+    }
+
+    // coming from a cursor means there are rows on the side it came from
+    return {
+        objs: page,
+        nextCursor: reverse || more ? encodeCursor(keys, page[page.length - 1]) : null,
+        prevCursor: (reverse ? more : !!cursor) ? encodeCursor(keys, page[0]) : null
+    };
+});
+
+const aggregateFunctions = {
+    $count: "count",
+    $sum: "sum",
+    $avg: "avg",
+    $min: "min",
+    $max: "max"
+};
+
+/**
+ * Translates an aggregate like `{ $sum: "amount" }` into an attr-like `{ column, type }` of the SQL expression and the
+ * type of its result. `{ $count: true }` counts rows. Counts are numbers even though postgres counts in bigints, as no
+ * table gets near the rows where those lose precision, and sums and averages are numbers too, whatever the type of the
+ * attribute, even when they have more digits than doubles hold. Minimums and maximums convert like the attribute.
+ */
+function aggregateAttr(model, name, spec) {
+    const ops = _.isObject(spec) ? Object.keys(spec) : [];
+
+    if (ops.length !== 1 || !aggregateFunctions.hasOwnProperty(ops[0])) {
+        throw new Error("Expected one of " + Object.keys(aggregateFunctions).join(", ") + " for " + name);
+    }
+
+    const op = ops[0];
+    const attrName = spec[op];
+
+    if (op === "$count" && (attrName === true || attrName === "*")) {
+        return { column: "count(*)", type: types.Types.Integer };
+    } else if (!model.attrs[attrName]) {
+        throw new Error("Unknown attribute " + attrName);
+    }
+
+    const column = aggregateFunctions[op] + "(" + model.attrs[attrName].column + ")";
+
+    if (op === "$count") {
+        return { column: column, type: types.Types.Integer };
+    } else if (op === "$sum" || op === "$avg") {
+        return { column: column, type: types.Types.Double };
+    } else {
+        return { column: column, type: model.attrs[attrName].type };
+    }
+}
 
-            if (attrName === model.id && (typeof attrValue === "undefined" || attrValue === null)) {
-                continue;
+/**
+ * Computes a single aggregate over the models matching `opts.where`.
+ */
+const aggregateOne = bluebird.coroutine(function*(dao, conn, spec, opts) {
+    const rows = yield dao.aggregate(conn, _.extend({}, opts, {
+        groupBy: null,
+        aggregates: { value: spec },
+        having: null,
+        orderBy: null
+    }));
+
+    return rows[0].value;
+});
+
+function isKeyset(opts) {
+    return !!opts && (opts.hasOwnProperty("after") || opts.hasOwnProperty("before"));
+}
+
+/**
+ * Builds the ON CONFLICT clause for `save`. `onConflict.target` names the attributes of a unique index or
+ * `onConflict.constraint` names a constraint; `doNothing` skips conflicting rows, while `doUpdate` overwrites the
+ * listed attributes of the existing row, or every inserted attribute outside the conflict target when `true`.
+ */
+function conflictClause(model, onConflict, insertedAttrNames) {
+    let target = "";
+
+    if (onConflict.constraint) {
+        target = " ON CONSTRAINT " + onConflict.constraint;
+    } else if (onConflict.target) {
+        target = " (" + [].concat(onConflict.target).map(function(attrName) {
+            if (!model.attrs[attrName]) {
+                throw new Error("Unknown attribute " + attrName);
             }
 
-            q.set(columnName, "$" + (++p));
-            attrValues.push(attrValue);
+            return model.attrs[attrName].column;
+        }).join(", ") + ")";
+    }
+
+    if (onConflict.doNothing || !onConflict.doUpdate) {
+        return "ON CONFLICT" + target + " DO NOTHING";
+    }
+
+    if (!target) {
+        throw new Error("Expected target or constraint for onConflict doUpdate");
+    }
+
+    const targetAttrNames = [].concat(onConflict.target || []);
+    const updateAttrNames = onConflict.doUpdate === true ?
+        insertedAttrNames.filter(function(attrName) {
+            return targetAttrNames.indexOf(attrName) === -1 && model.ids.indexOf(attrName) === -1;
+        }) :
+        onConflict.doUpdate;
+
+    if (updateAttrNames.length === 0) {
+        return "ON CONFLICT" + target + " DO NOTHING";
+    }
+
+    return "ON CONFLICT" + target + " DO UPDATE SET " + updateAttrNames.map(function(attrName) {
+        if (!model.attrs[attrName]) {
+            throw new Error("Unknown attribute " + attrName);
         }
 
+        const column = model.attrs[attrName].column;
+
+        return column + " = EXCLUDED." + column;
+    }).join(", ");
+}
+
+/**
+ * Inserts `obj` for `save` and `upsert`, resolving to `{ obj, inserted, updated }`.
+ */
+const insert = bluebird.coroutine(function*(dao, conn, obj, opts) {
+    const model = obj.__model__;
+    const onConflict = opts && opts.onConflict;
+
+    yield runHooks(obj, "preSave", conn, opts);
+    yield runHooks(obj, "preCreate", conn, opts);
+    yield obj.validateAsync(conn, {
+        schema: opts && opts.schema || dao.schema,
+        context: opts && opts.context || "create"
+    });
+
+    const attrs = obj.attr();
+    const attrNames = Object.keys(attrs);
+    const attrValues = [];
+    const insertedAttrNames = [];
+    const q = squel.insert({ usingValuePlaceholders: true })
+        .into(DAO.tableRef(opts && opts.schema || dao.schema, model.table));
+
+    for (let i = 0, p = 0; i < attrNames.length; i++) {
+        const attrName = attrNames[i];
+        const columnName = model.attrs[attrNames[i]].column || attrName;
+        const attrValue = attrs[attrName];
+
+        if (model.ids.indexOf(attrName) !== -1 && (typeof attrValue === "undefined" || attrValue === null)) {
+            continue;
+        }
+
+        q.set(columnName, "$" + (++p));
+        attrValues.push(types.convert(model.attrs[attrName].type, "toDb", attrValue));
+        insertedAttrNames.push(attrName);
+    }
+
+    let sql;
+
+    if (onConflict) {
+        // xmax is only zero for a freshly inserted row version, which tells inserts apart from updates
+        sql = q.toString() + " " + conflictClause(model, onConflict, insertedAttrNames) +
+            " RETURNING *, (xmax = 0) AS __inserted__";
+    } else {
         q.returning("*");
+        sql = q.toString();
+    }
+
+    const res = yield execute(dao.model, conn, sql, attrValues);
+    const row = res.rows[0];
+    const inserted = !onConflict || !!(row && row.__inserted__);
+
+    if (row) {
+        assignRow(obj, row);
+    }
+
+    if (row || !onConflict) {
+        obj.checkpoint();
+    }
+
+    if (inserted) {
+        yield runHooks(obj, "postCreate", conn, opts);
+    } else if (row) {
+        yield runHooks(obj, "postUpdate", conn, opts);
+    }
+
+    return { obj: obj, inserted: inserted, updated: !!row && !inserted };
+});
+
+function insertRows(model, table, objs) {
+    const rows = objs.map(function(obj) {
+        return obj.attr();
+    });
+    const isEmpty = function(value) {
+        return typeof value === "undefined" || value === null;
+    };
+    // id attributes left empty on every model are generated, the others fall back to DEFAULT per row
+    const attrNames = Object.keys(model.attrs).filter(function(attrName) {
+        return model.ids.indexOf(attrName) === -1 || rows.some(function(row) {
+            return !isEmpty(row[attrName]);
+        });
+    });
+    const values = [];
+    const tuples = rows.map(function(row) {
+        return "(" + attrNames.map(function(attrName) {
+            if (model.ids.indexOf(attrName) !== -1 && isEmpty(row[attrName])) {
+                return "DEFAULT";
+            }
+
+            values.push(types.convert(model.attrs[attrName].type, "toDb", row[attrName]));
+
+            return "$" + values.length;
+        }).join(", ") + ")";
+    });
+    const columns = attrNames.map(function(attrName) {
+        return model.attrs[attrName].column;
+    });
+
+    return [
+        "INSERT INTO " + table + " (" + columns.join(", ") + ") VALUES " + tuples.join(", ") + " RETURNING *",
+        values
+    ];
+}
+
+/**
+ * Sets the soft delete column of the rows matching `where` to `value`, an SQL expression, and mirrors the result
+ * onto `obj` without marking it as changed.
+ */
+const setDeleted = bluebird.coroutine(function*(dao, conn, obj, where, value, opts) {
+    const model = dao.model;
+    const criteria = new Criteria(model);
+    const column = model.attrs[model.softDelete].column;
+    const q = squel.update({ usingValuePlaceholders: true })
+        .table(DAO.tableRef(opts && opts.schema || dao.schema, model.table))
+        .set(column, value)
+        .where(criteria.build(where))
+        .returning("*");
+    const res = yield execute(dao.model, conn, q.toString(), criteria.values);
+
+    if (obj && res.rows[0]) {
+        obj.__self__.values.current[model.softDelete] = model.fromRow(res.rows[0])[model.softDelete];
+    }
+
+    return res;
+});
+
+function normalizeInclude(include) {
+    if (typeof include === "string") {
+        const res = {};
+
+        res[include] = null;
+
+        return res;
+    } else if (_.isArray(include)) {
+        return include.reduce(function(res, include) {
+            return _.extend(res, normalizeInclude(include));
+        }, {});
+    } else {
+        return Object.keys(include).reduce(function(res, name) {
+            res[name] = include[name] === true ? null : include[name];
+
+            return res;
+        }, {});
+    }
+}
+
+/**
+ * Identifies the key `attrNames` hold on `obj` for matching models up, or returns null when any part of it is empty.
+ * Parts are compared as strings, like object keys are.
+ */
+function keyOf(obj, attrNames) {
+    const values = attrNames.map(function(attrName) {
+        return obj[attrName];
+    });
+
+    return values.some(function(value) {
+        return typeof value === "undefined" || value === null;
+    }) ? null : JSON.stringify(values.map(String));
+}
+
+/**
+ * Builds criteria matching the models whose `keyAttrNames` hold one of the keys `attrNames` hold on `objs`, or returns
+ * null when there are none. A relation between keys of several attributes names them in the same order on both sides.
+ */
+function keyCriteria(objs, attrNames, keyAttrNames) {
+    const seen = {};
+    const keyObjs = objs.filter(function(obj) {
+        const key = keyOf(obj, attrNames);
+
+        if (key === null || seen.hasOwnProperty(key)) {
+            return false;
+        }
+
+        seen[key] = true;
+
+        return true;
+    });
+    const where = {};
+
+    if (attrNames.length !== keyAttrNames.length) {
+        throw new Error("Expected " + keyAttrNames.join(", ") + " to match up with " + attrNames.join(", "));
+    } else if (keyObjs.length === 0) {
+        return null;
+    } else if (keyAttrNames.length === 1) {
+        where[keyAttrNames[0]] = {
+            $in: keyObjs.map(function(obj) {
+                return obj[attrNames[0]];
+            })
+        };
+
+        return where;
+    }
+
+    return {
+        $or: keyObjs.map(function(obj) {
+            return keyAttrNames.reduce(function(res, keyAttrName, i) {
+                res[keyAttrName] = obj[attrNames[i]];
+
+                return res;
+            }, {});
+        })
+    };
+}
+
+const loaders = {
+    belongsTo: bluebird.coroutine(function*(dao, conn, relation, objs, opts) {
+        const target = relation.model();
+        const foreignKeys = [].concat(relation.foreignKey);
+        const where = keyCriteria(objs, foreignKeys, target.ids);
+        const related = where ?
+            yield new DAO(target, dao.schema).find(conn, where, { schema: opts && opts.schema }) :
+            [];
+        const byId = _.indexBy(related, function(obj) {
+            return keyOf(obj, target.ids);
+        });
 
-        const res = yield conn.queryAsync(q.toString(), attrValues);
+        objs.forEach(function(obj) {
+            obj.__self__.related[relation.name] = byId[keyOf(obj, foreignKeys)] || null;
+        });
+
+        return related;
+    }),
+
+    hasMany: bluebird.coroutine(function*(dao, conn, relation, objs, opts) {
+        const target = relation.model();
+        const foreignKeys = [].concat(relation.foreignKey);
+        const where = keyCriteria(objs, dao.model.ids, foreignKeys);
+        const related = where ?
+            yield new DAO(target, dao.schema).find(conn, where, { schema: opts && opts.schema }) :
+            [];
+        const byOwner = _.groupBy(related, function(obj) {
+            return keyOf(obj, foreignKeys);
+        });
+
+        objs.forEach(function(obj) {
+            obj.__self__.related[relation.name] = byOwner[keyOf(obj, dao.model.ids)] || [];
+        });
+
+        return related;
+    }),
 
-        if (res.rows[0]) {
-            const resAttrs = Object.keys(res.rows[0]);
+    manyToMany: bluebird.coroutine(function*(dao, conn, relation, objs, opts) {
+        const target = relation.model();
+        const model = dao.model;
 
-            for (let i = 0; i < resAttrs.length; i++) {
-                // const scoping rules in jshint are wrong
-                const attrName = resAttrs[i]; // jshint ignore:line
+        if (!model.id || !target.id) {
+            throw new Error("Expected single attribute ids on both sides of relation " + relation.name);
+        }
 
-                obj[attrName] = res.rows[0][attrName];
+        const keys = _.uniq(objs.map(function(obj) {
+            return obj[model.id];
+        }).filter(function(key) {
+            return typeof key !== "undefined" && key !== null;
+        }));
+        const schema = opts && opts.schema || dao.schema;
+        const idColumn = "t." + target.attrs[target.id].column;
+        const byOwner = {};
+        const related = [];
+
+        if (keys.length > 0) {
+            const criteria = new Criteria(target, keys.slice(), "t");
+            const condition = criteria.build(scoped(target, null, null));
+            const q = squel.select()
+                .from(DAO.tableRef(schema, target.table) + " t")
+                .field("t.*")
+                .field("j." + relation.foreignKey, "__owner__")
+                .join(DAO.tableRef(schema, relation.through) + " j", null, "j." + relation.otherKey + " = " + idColumn)
+                .where("j." + relation.foreignKey + " IN (" + keys.map(function(key, i) {
+                    return "$" + (i + 1);
+                }).join(", ") + ")")
+                .order(idColumn);
+
+            if (condition) {
+                q.where(condition);
+            }
+
+            const res = yield execute(target, conn, q.toString(), criteria.values);
+
+            for (let i = 0; i < res.rows.length; i++) {
+                const owner = res.rows[i].__owner__;
+                const m = new target.modelConstructor(target.fromRow(res.rows[i]));
+
+                yield runHooks(m, "postLoad", conn, opts);
+
+                if (!byOwner.hasOwnProperty(owner)) {
+                    byOwner[owner] = [];
+                }
+
+                byOwner[owner].push(m);
+                related.push(m);
             }
         }
 
-        obj.checkpoint();
+        objs.forEach(function(obj) {
+            obj.__self__.related[relation.name] = byOwner[obj[model.id]] || [];
+        });
+
+        return related;
+    })
+};
+
+let cursors = 0;
+
+/**
+ * An object mode Readable of the model instances a query returns, fetched `batchSize` rows at a time through a
+ * server side cursor, with `postLoad` hooks and `opts.include` run per batch. The cursor lives in a transaction, or in
+ * a savepoint when `conn` is a Transaction, which ends with the stream. A bare connection with a transaction open on
+ * it is refused, as are transactions started on the connection while the stream is read; anything else run on it
+ * meanwhile runs in the stream's transaction. Without a connection, a client is checked out of the DAO's pool for as
+ * long as the stream is read.
+ */
+function CursorStream(dao, conn, q, values, opts) {
+    const self = this;
+
+    self.batchSize = opts && opts.batchSize || dao.batchSize;
+
+    stream.Readable.call(self, { objectMode: true, highWaterMark: self.batchSize });
+
+    self.dao = dao;
+    self.conn = conn || dao.conn;
+    self.sql = q.toString();
+    self.values = values;
+    self.opts = opts || {};
+    self.name = "excalipur_cursor_" + (++cursors);
+    self.tx = null;
+    self.reading = false;
+    self.closing = false;
+    self.finish = null;
+    self.transaction = null;
+}
+
+CursorStream.prototype = _.extend(Object.create(stream.Readable.prototype), {
+    constructor: CursorStream,
+    batchSize: null,
+    dao: null,
+    conn: null,
+    sql: null,
+    values: null,
+    opts: null,
+    name: null,
+    tx: null,
+    reading: null,
+    closing: null,
+    finish: null,
+    transaction: null,
+
+    _read: function() {
+        const self = this;
+
+        if (self.reading || self.closing) {
+            return;
+        }
+
+        self.reading = true;
+
+        (self.transaction ? bluebird.resolve() : self.open()).then(function() {
+            return self.fetch();
+        }).then(function(objs) {
+            let more = true;
 
-        if (_.isArray(postCreate)) {
-            for (let i = 0; i < postCreate.length; i++) {
-                postCreate[i].call(obj.__self__);
+            if (self.destroyed) {
+                self.reading = false;
+
+                return;
+            }
+
+            // a short batch means the cursor is exhausted, pushing it may ask for more before CLOSE is done
+            self.closing = objs.length < self.batchSize;
+
+            objs.forEach(function(obj) {
+                more = self.push(obj);
+            });
+
+            self.reading = false;
+
+            if (self.closing) {
+                return self.close();
+            } else if (more) {
+                self._read();
             }
+        }).catch(function(ex) {
+            self.destroy(ex);
+        });
+    },
+
+    _destroy: function(err, callback) {
+        const self = this;
+
+        if (!self.transaction) {
+            return callback(err);
         }
 
-        return obj;
+        // rolling back closes the cursor, whether it's in a transaction or a savepoint
+        self.finish.reject(err || new Error("Stream destroyed"));
+        self.transaction.then(function() {
+            callback(err);
+        }, function() {
+            callback(err);
+        });
+    },
+
+    /**
+     * Starts the transaction and declares the cursor in it. The transaction stays open until `finish` settles.
+     */
+    open: function() {
+        const self = this;
+        const opened = bluebird.defer();
+        const run = function(conn) {
+            return DAO.inTransaction(conn, function(tx) {
+                self.tx = tx;
+                tx.exclusive = !(conn instanceof Transaction);
+
+                return execute(self.dao.model, tx, "DECLARE " + self.name + " NO SCROLL CURSOR FOR " + self.sql,
+                    self.values).then(function() {
+                        opened.resolve();
+
+                        return self.finish.promise;
+                    });
+            });
+        };
+
+        self.finish = bluebird.defer();
+        // destroying the stream rejects it even when the transaction never got to wait for it
+        self.finish.promise.catch(function() {});
+
+        if (self.conn && !(self.conn instanceof Transaction) && Transaction.current(self.conn)) {
+            self.transaction = bluebird.reject(new Error("Connection has a transaction open, stream on it instead"));
+        } else if (self.conn) {
+            self.transaction = run(self.conn);
+        } else if (self.dao.pool) {
+            self.transaction = DAO.withConnection(self.dao.pool, run);
+        } else {
+            self.transaction = bluebird.reject(new Error("Expected a pool or a connection"));
+        }
+
+        self.transaction.catch(function(ex) {
+            opened.reject(ex);
+        });
+
+        return opened.promise;
+    },
+
+    fetch: bluebird.coroutine(function*() {
+        const self = this;
+        const model = self.dao.model;
+        const res = yield execute(model, self.tx, "FETCH " + self.batchSize + " FROM " + self.name + ";");
+        const objs = res.rows.map(function(row) {
+            return new model.modelConstructor(model.fromRow(row));
+        });
+
+        for (let i = 0; i < objs.length; i++) {
+            yield runHooks(objs[i], "postLoad", self.tx, self.opts);
+        }
+
+        if (self.opts.include && objs.length > 0) {
+            yield self.dao.loadRelated(self.tx, objs, self.opts.include, self.opts);
+        }
+
+        return objs;
     }),
 
-    update: bluebird.coroutine(function*(conn, obj, opts) {
+    close: function() {
         const self = this;
 
-        const model = obj.__model__;
-        const preUpdate = model.hooks.preUpdate;
-        const postUpdate = model.hooks.postUpdate;
+        return execute(self.dao.model, self.tx, "CLOSE " + self.name + ";").then(function() {
+            self.finish.resolve();
+
+            return self.transaction;
+        }).then(function() {
+            self.push(null);
+        });
+    }
+});
+
+DAO.prototype = {
+    model: null,
+    schema: null,
+    pool: null,
+    conn: null,
+    batchSize: null,
+
+    /**
+     * Returns a view of the DAO whose methods use `conn`, e.g. the transaction of `inTransaction`, when called
+     * without a connection.
+     */
+    using: function(conn) {
+        const self = this;
+        const dao = Object.create(self);
+
+        dao.conn = conn;
+
+        return dao;
+    },
+
+    /**
+     * Runs `fn(tx, dao)` in a transaction on the bound connection or, failing that, on a client checked out of the
+     * pool for the duration of the transaction. `dao` is this DAO bound to `tx`. Until the transaction ends, calls
+     * without a connection on any DAO sharing the pool join it, or the innermost transaction started in it, as do
+     * transactions started that way, which nest in savepoints. That includes calls made concurrently for unrelated
+     * work, so give those a connection of their own.
+     */
+    inTransaction: function(fn, opts) {
+        const self = this;
+        const active = self.conn ? null : activeTransaction(self.pool);
+        const run = function(conn) {
+            return DAO.inTransaction(conn, function(tx) {
+                return fn(tx, self.using(tx));
+            }, opts);
+        };
+
+        if (self.conn || active) {
+            return run(self.conn || active);
+        } else if (!self.pool) {
+            return bluebird.reject(new Error("Expected a pool or a bound connection"));
+        }
+
+        return DAO.withConnection(self.pool, bluebird.coroutine(function*(conn) {
+            const clients = scopes.get(self.pool) || [];
+
+            scopes.set(self.pool, clients);
+            clients.push(conn);
+
+            try {
+                return yield run(conn);
+            } finally {
+                clients.splice(clients.indexOf(conn), 1);
+            }
+        }));
+    },
+
+    /**
+     * Validates the model in the "create" context, or `opts.context`, before inserting it. Resolves to the model, even
+     * with `opts.onConflict`, see `upsert`.
+     */
+    save: bluebird.coroutine(function*(conn, obj, opts) {
+        const self = this;
+        const res = yield insert(self, conn, obj, opts);
+
+        return res.obj;
+    }),
 
-        if (_.isArray(preUpdate)) {
-            for (let i = 0; i < preUpdate.length; i++) {
-                preUpdate[i].call(obj.__self__);
+    /**
+     * Saves the model like `save` with `opts.onConflict` (see conflictClause), which makes the insert an upsert, and
+     * resolves to `{ obj, inserted, updated }`, both flags being false when a conflicting row was left alone. The
+     * postCreate hooks run after inserts and the postUpdate ones after updates.
+     */
+    upsert: function(conn, obj, opts) {
+        const self = this;
+
+        if (!(opts && opts.onConflict)) {
+            return bluebird.reject(new Error("Expected opts.onConflict"));
+        }
+
+        return insert(self, conn, obj, opts);
+    },
+
+    /**
+     * Inserts many models with multi-row INSERT statements, as many rows per statement as fit under the bind
+     * parameter limit or `opts.batchSize`. Every model is validated before anything is written, and the returned
+     * rows are written back onto the models in order.
+     */
+    saveAll: bluebird.coroutine(function*(conn, objs, opts) {
+        const self = this;
+        const model = self.model;
+
+        if (objs.length === 0) {
+            return objs;
+        }
+
+        for (let i = 0; i < objs.length; i++) {
+            yield runHooks(objs[i], "preSave", conn, opts);
+            yield runHooks(objs[i], "preCreate", conn, opts);
+        }
+
+        for (let i = 0; i < objs.length; i++) {
+            yield objs[i].validateAsync(conn, {
+                schema: opts && opts.schema || self.schema,
+                context: opts && opts.context || "create"
+            });
+        }
+
+        const maxRows = Math.floor(MAX_PARAMETERS / Object.keys(model.attrs).length);
+        const batchSize = Math.min(maxRows, opts && opts.batchSize || Infinity);
+        const table = DAO.tableRef(opts && opts.schema || self.schema, model.table);
+
+        for (let start = 0; start < objs.length; start += batchSize) {
+            const batch = objs.slice(start, start + batchSize);
+            const q = insertRows(model, table, batch);
+            const res = yield execute(self.model, conn, q[0], q[1]);
+
+            for (let i = 0; i < batch.length; i++) {
+                const row = res.rows[i];
+
+                if (row) {
+                    assignRow(batch[i], row);
+                }
+
+                batch[i].checkpoint();
+
+                yield runHooks(batch[i], "postCreate", conn, opts);
             }
         }
 
-        obj.validate();
+        return objs;
+    }),
+
+    /**
+     * Validates the model in the "update" context, or `opts.context`, before writing its changes.
+     */
+    update: bluebird.coroutine(function*(conn, obj, opts) {
+        const self = this;
+
+        const model = obj.__model__;
+
+        yield runHooks(obj, "preSave", conn, opts);
+        yield runHooks(obj, "preUpdate", conn, opts);
+        yield obj.validateAsync(conn, {
+            schema: opts && opts.schema || self.schema,
+            context: opts && opts.context || "update"
+        });
 
         const attrs = obj.changed();
         const attrNames = Object.keys(attrs);
 
         if (attrNames.length > 0) {
-            const values = [obj.id];
+            const criteria = new Criteria(model);
+            const where = model.idCriteria(obj.id);
+
+            if (model.version) {
+                where[model.version] = obj.hasChanged(model.version) ?
+                    obj.original(model.version) :
+                    obj[model.version];
+            }
+
             const q = squel.update({ usingValuePlaceholders: true })
                 .table(DAO.tableRef(opts && opts.schema || self.schema, model.table))
-                .where(model.id + " = $1");
+                .where(criteria.build(where));
 
-            for (let i = 0, p = 1; i < attrNames.length; i++) {
+            for (let i = 0; i < attrNames.length; i++) {
                 const attrName = attrNames[i];
                 const columnName = model.attrs[attrNames[i]].column || attrName;
-                const attrValue = attrs[attrName];
 
-                q.set(columnName, "$" + (++p));
-                values.push(attrValue);
+                if (attrName !== model.version) {
+                    q.set(columnName, criteria.attrParam(attrName, attrs[attrName]));
+                }
             }
 
-            q.returning("*");
+            if (model.version) {
+                q.set(model.attrs[model.version].column, model.attrs[model.version].column + " + 1");
+            }
 
-            const res = yield conn.queryAsync(q.toString(), values);
+            q.returning("*");
 
-            if (res.rows[0]) {
-                const resAttrs = Object.keys(res.rows[0]);
+            const res = yield execute(self.model, conn, q.toString(), criteria.values);
 
-                for (let i = 0; i < resAttrs.length; i++) {
-                    // const scoping rules in jshint are wrong
-                    const attrName = resAttrs[i]; // jshint ignore:line
+            if (model.version && res.rows.length === 0) {
+                throw new errors.StaleObjectError(model, obj.id);
+            }
 
-                    obj[attrName] = res.rows[0][attrName];
-                }
+            if (res.rows[0]) {
+                assignRow(obj, res.rows[0]);
             }
         }
 
         obj.checkpoint();
 
-        if (_.isArray(postUpdate)) {
-            for (let i = 0; i < postUpdate.length; i++) {
-                postUpdate[i].call(obj.__self__);
-            }
-        }
+        yield runHooks(obj, "postUpdate", conn, opts);
 
         return obj;
     }),
 
+    /**
+     * Soft deleting models get their soft delete attribute set to the current time instead, unless `opts.force` is
+     * set.
+     */
     destroy: bluebird.coroutine(function*(conn, objOrId, opts) {
         const self = this;
         const model = self.model;
-        const q = squel.delete()
-            .from(DAO.tableRef(opts && opts.schema || self.schema, model.table))
-            .where(model.id + " = $1");
-        const obj = _.isObject(objOrId) ? objOrId : null;
-        const id = _.isObject(objOrId) ? objOrId.id : objOrId;
-        const preDestroy = model.hooks.preDestroy;
-        const postDestroy = model.hooks.postDestroy;
-
-        if (_.isObject(obj) && _.isArray(preDestroy)) {
-            for (let i = 0; i < preDestroy.length; i++) {
-                preDestroy[i].call(obj.__self__);
-            }
+        const criteria = new Criteria(model);
+        // a composite id is a plain object too, only model instances expose __self__
+        const obj = _.isObject(objOrId) && objOrId.__self__ ? objOrId : null;
+        const where = model.idCriteria(obj ? obj.id : objOrId);
+
+        if (obj) {
+            yield runHooks(obj, "preDestroy", conn, opts);
         }
 
-        yield conn.queryAsync(q.toString(), [id]);
+        if (model.softDelete && !(opts && opts.force)) {
+            yield setDeleted(self, conn, obj, scoped(model, where, null), "now()", opts);
+        } else {
+            const q = squel.delete()
+                .from(DAO.tableRef(opts && opts.schema || self.schema, model.table))
+                .where(criteria.build(where));
 
-        if (_.isObject(obj) && _.isArray(postDestroy)) {
-            for (let i = 0; i < postDestroy.length; i++) {
-                postDestroy[i].call(obj.__self__);
-            }
+            yield execute(self.model, conn, q.toString(), criteria.values);
+        }
+
+        if (obj) {
+            yield runHooks(obj, "postDestroy", conn, opts);
+        }
+    }),
+
+    /**
+     * Clears the soft delete attribute of a soft deleted model.
+     */
+    restore: bluebird.coroutine(function*(conn, objOrId, opts) {
+        const self = this;
+        const model = self.model;
+        const obj = _.isObject(objOrId) && objOrId.__self__ ? objOrId : null;
+
+        if (!model.softDelete) {
+            throw new Error("Model does not soft delete");
+        }
+
+        yield setDeleted(self, conn, obj, model.idCriteria(obj ? obj.id : objOrId), "NULL", opts);
+
+        return obj;
+    }),
+
+    /**
+     * Sets the attributes in `values` on every row matching `where` with a single UPDATE. Resolves to
+     * `{ count, objs }`, `objs` holding the updated rows as models when `opts.returning` is set. Criteria matching
+     * every row, like a missing or empty `where`, are refused unless `opts.all` is set.
+     */
+    updateWhere: bluebird.coroutine(function*(conn, where, values, opts) {
+        const self = this;
+        const model = self.model;
+        const criteria = new Criteria(model);
+        const attrNames = Object.keys(values || {});
+        const q = squel.update({ usingValuePlaceholders: true })
+            .table(DAO.tableRef(opts && opts.schema || self.schema, model.table));
+
+        requireCriteria(model, where, opts);
+
+        if (attrNames.length === 0) {
+            throw new Error("Expected values to update");
+        }
+
+        for (let i = 0; i < attrNames.length; i++) {
+            q.set(criteria.column(attrNames[i]), criteria.attrParam(attrNames[i], values[attrNames[i]]));
+        }
+
+        if (model.version && !values.hasOwnProperty(model.version)) {
+            q.set(criteria.column(model.version), criteria.column(model.version) + " + 1");
         }
+
+        const condition = criteria.build(where);
+
+        if (condition) {
+            q.where(condition);
+        }
+
+        if (opts && opts.returning) {
+            q.returning("*");
+        }
+
+        const res = yield execute(self.model, conn, q.toString(), criteria.values);
+
+        return {
+            count: res.rowCount,
+            objs: opts && opts.returning ? res.rows.map(function(row) {
+                return new model.modelConstructor(model.fromRow(row));
+            }) : null
+        };
+    }),
+
+    /**
+     * Deletes every row matching `where` with a single DELETE. Resolves like `updateWhere`, and refuses criteria
+     * matching every row likewise. No destroy hooks are run, and soft deleting models are soft deleted as in `destroy`.
+     */
+    destroyWhere: bluebird.coroutine(function*(conn, where, opts) {
+        const self = this;
+        const model = self.model;
+
+        requireCriteria(model, where, opts);
+
+        if (model.softDelete && !(opts && opts.force)) {
+            const deleted = yield setDeleted(self, conn, null, scoped(model, where, null), "now()", opts);
+
+            return {
+                count: deleted.rowCount,
+                objs: opts && opts.returning ? deleted.rows.map(function(row) {
+                    return new model.modelConstructor(model.fromRow(row));
+                }) : null
+            };
+        }
+
+        const criteria = new Criteria(model);
+        const condition = criteria.build(where);
+        const q = squel.delete()
+            .from(DAO.tableRef(opts && opts.schema || self.schema, model.table));
+
+        if (condition) {
+            q.where(condition);
+        }
+
+        // squel has no RETURNING for deletes
+        const sql = q.toString() + (opts && opts.returning ? " RETURNING *" : "");
+        const res = yield execute(self.model, conn, sql, criteria.values);
+
+        return {
+            count: res.rowCount,
+            objs: opts && opts.returning ? res.rows.map(function(row) {
+                return new model.modelConstructor(model.fromRow(row));
+            }) : null
+        };
     }),
 
     get: bluebird.coroutine(function*(conn, id, opts) {
         const self = this;
         const model = self.model;
+        const criteria = new Criteria(model);
         const q = squel.select()
             .from(DAO.tableRef(opts && opts.schema || self.schema, model.table))
-            .where(model.id + " = $1");
-        const res = yield conn.queryAsync(q.toString(), [id]);
+            .where(criteria.build(scoped(model, model.idCriteria(id), opts)));
+        const res = yield execute(self.model, conn, q.toString(), criteria.values);
 
         if (res.rows.length === 1) {
-            return new model.modelConstructor(res.rows[0]);
+            const obj = new model.modelConstructor(model.fromRow(res.rows[0]));
+
+            yield runHooks(obj, "postLoad", conn, opts);
+
+            if (opts && opts.include) {
+                yield self.loadRelated(conn, [obj], opts.include, opts);
+            }
+
+            return obj;
         } else {
             return null;
         }
     }),
 
+    /**
+     * Like `get`, but rejects with a NotFoundError when there is no model with the id.
+     */
+    getOrFail: bluebird.coroutine(function*(conn, id, opts) {
+        const self = this;
+        const obj = yield self.get(conn, id, opts);
+
+        if (!obj) {
+            throw new errors.NotFoundError(self.model, id);
+        }
+
+        return obj;
+    }),
+
+    /**
+     * With `opts.include` the returned promise resolves to the array of listed models once their relations have been
+     * loaded, rather than to nothing. With `opts.stream` a Readable of the models is returned instead, see `stream`,
+     * reading `opts.batchSize` rows at a time.
+     *
+     * Given `opts.after` or `opts.before`, a page of `opts.limit` models is listed after or before that cursor instead,
+     * seeking on the `opts.orderBy` attributes and the ids rather than skipping rows. The promise resolves to
+     * `{ objs, nextCursor, prevCursor }`, where the cursors are opaque tokens for the adjacent pages, or null at either
+     * end. `after: null` lists the first page.
+     */
     list: function(conn, opts) {
         const self = this;
+
+        if (isKeyset(opts)) {
+            return keysetPage(self, conn, null, opts);
+        }
+
+        if (opts && opts.stream) {
+            const args = select(self, null, opts);
+
+            return new CursorStream(self, conn, args[0], args.slice(1), opts);
+        }
+
+        const p = self.query.apply(self, [conn].concat(select(self, null, opts)));
+
+        if (opts && opts.include) {
+            return p.collectResults().then(function(objs) {
+                return self.loadRelated(conn, objs, opts.include, opts);
+            });
+        }
+
+        return p;
+    },
+
+    /**
+     * Pages through the models like `list` given `opts.after` or `opts.before`.
+     */
+    find: function(conn, where, opts) {
+        const self = this;
+
+        if (isKeyset(opts)) {
+            return keysetPage(self, conn, where, opts);
+        }
+
+        const p = self.query.apply(self, [conn].concat(select(self, where, opts))).collectResults();
+
+        if (opts && opts.include) {
+            return p.then(function(objs) {
+                return self.loadRelated(conn, objs, opts.include, opts);
+            });
+        }
+
+        return p;
+    },
+
+    findOne: bluebird.coroutine(function*(conn, where, opts) {
+        const self = this;
+        const obj = yield self.query.apply(self, [conn].concat(select(self, where, _.extend({}, opts, { limit: 1 }))))
+            .uniqueResult();
+
+        if (obj && opts && opts.include) {
+            yield self.loadRelated(conn, [obj], opts.include, opts);
+        }
+
+        return obj;
+    }),
+
+    /**
+     * Loads the named relations of `objs` with one query per relation and exposes them as properties of the
+     * instances. `include` is a relation name, an array of them, or an object mapping relation names to the includes
+     * to load on the related models in turn, e.g. `["author", { comments: "author" }]`.
+     */
+    loadRelated: bluebird.coroutine(function*(conn, objs, include, opts) {
+        const self = this;
         const model = self.model;
-        const q = squel.select()
-            .from(DAO.tableRef(opts && opts.schema || self.schema, model.table))
-            .order(model.id);
+        const includes = normalizeInclude(include);
+        const relationNames = Object.keys(includes);
+
+        for (let i = 0; i < relationNames.length; i++) {
+            const relation = model.relations[relationNames[i]];
 
-        if (opts) {
-            if (opts.limit) {
-                q.limit(opts.limit);
+            if (!relation) {
+                throw new Error("Unknown relation " + relationNames[i]);
             }
 
-            if (opts.offset) {
-                q.offset(opts.offset);
+            const related = yield loaders[relation.type](self, conn, relation, objs, opts);
+
+            if (includes[relation.name] && related.length > 0) {
+                yield new DAO(relation.model(), self.schema).loadRelated(conn, related, includes[relation.name], opts);
             }
         }
 
-        return self.query(conn, q);
+        return objs;
+    }),
+
+    createTable: function(conn, opts) {
+        const self = this;
+
+        return conn.queryAsync(self.model.toDDL(_.extend({}, opts, { schema: opts && opts.schema || self.schema })));
+    },
+
+    dropTable: function(conn, opts) {
+        const self = this;
+
+        return conn.queryAsync(self.model.toDropDDL(_.extend({}, opts, {
+            schema: opts && opts.schema || self.schema
+        })));
+    },
+
+    /**
+     * Counts the models matching `opts.where`.
+     */
+    count: function(conn, opts) {
+        const self = this;
+
+        return aggregateOne(self, conn, { $count: true }, opts);
+    },
+
+    /**
+     * Sums an attribute over the models matching `opts.where`, like avg, min and max below.
+     */
+    sum: function(conn, attrName, opts) {
+        const self = this;
+
+        return aggregateOne(self, conn, { $sum: attrName }, opts);
+    },
+
+    avg: function(conn, attrName, opts) {
+        const self = this;
+
+        return aggregateOne(self, conn, { $avg: attrName }, opts);
+    },
+
+    min: function(conn, attrName, opts) {
+        const self = this;
+
+        return aggregateOne(self, conn, { $min: attrName }, opts);
+    },
+
+    max: function(conn, attrName, opts) {
+        const self = this;
+
+        return aggregateOne(self, conn, { $max: attrName }, opts);
     },
 
-    count: bluebird.coroutine(function*(conn, opts) {
+    /**
+     * Computes `opts.aggregates`, which maps result names to aggregates like `{ $sum: "amount" }`, over the models
+     * matching `opts.where`, grouped by the `opts.groupBy` attributes. `opts.having` filters groups with criteria on
+     * the result names, and `opts.orderBy` orders by them. Resolves to plain rows keyed by the result names and the
+     * grouping attribute names, e.g.
+     *
+     *     dao.aggregate(conn, { groupBy: "status", aggregates: { n: { $count: true } }, having: { n: { $gt: 1 } } })
+     */
+    aggregate: bluebird.coroutine(function*(conn, opts) {
         const self = this;
         const model = self.model;
-        const q = squel.select()
-            .from(DAO.tableRef(opts && opts.schema || self.schema, model.table))
-            .field("count(*)");
-        const res = yield conn.queryAsync(q.toString());
+        const criteria = new Criteria(model);
+        const groupBy = [].concat(opts && opts.groupBy || []);
+        const aggregates = opts && opts.aggregates || {};
+        const attrs = {};
+
+        groupBy.forEach(function(attrName) {
+            if (!model.attrs[attrName]) {
+                throw new Error("Unknown attribute " + attrName);
+            }
 
-        if (res.rows.length === 1) {
-            return parseInt(res.rows[0].count, 10);
-        } else {
-            throw new Error("Expected row count");
+            attrs[attrName] = model.attrs[attrName];
+        });
+
+        Object.keys(aggregates).forEach(function(name) {
+            if (attrs.hasOwnProperty(name)) {
+                throw new Error("Aggregate " + name + " clashes with a grouping attribute");
+            }
+
+            attrs[name] = aggregateAttr(model, name, aggregates[name]);
+        });
+
+        if (Object.keys(attrs).length === 0) {
+            throw new Error("Expected groupBy or aggregates");
+        }
+
+        // criteria on the results work on their expressions like on columns
+        const results = new Criteria({ attrs: attrs }, criteria.values);
+        const where = criteria.build(scoped(model, opts && opts.where, opts));
+        const having = results.build(opts && opts.having);
+        const order = opts && opts.orderBy ? results.order(opts.orderBy) : [];
+        let sql = "SELECT " + Object.keys(attrs).map(function(name) {
+            return attrs[name].column + " AS \"" + name.replace(/"/g, "\"\"") + "\"";
+        }).join(", ") + " FROM " + DAO.tableRef(opts && opts.schema || self.schema, model.table);
+
+        if (where) {
+            sql += " WHERE " + where;
+        }
+
+        if (groupBy.length > 0) {
+            sql += " GROUP BY " + groupBy.map(function(attrName) {
+                return attrs[attrName].column;
+            }).join(", ");
+        }
+
+        if (having) {
+            sql += " HAVING " + having;
+        }
+
+        if (order.length > 0) {
+            sql += " ORDER BY " + order.map(function(o) {
+                return o[0] + (o[1] ? " ASC" : " DESC");
+            }).join(", ");
+        }
+
+        if (opts && opts.limit) {
+            sql += " LIMIT " + parseInt(opts.limit, 10);
         }
+
+        const res = yield execute(self.model, conn, sql, criteria.values);
+
+        return res.rows.map(function(row) {
+            return Object.keys(attrs).reduce(function(obj, name) {
+                obj[name] = types.convert(attrs[name].type, "fromDb", row[name]);
+
+                return obj;
+            }, {});
+        });
     }),
 
+    /**
+     * Returns an object mode Readable of the models `q` returns, bound to the remaining arguments, which reads them
+     * through a cursor `batchSize` rows at a time. Like `query`, it leaves soft deleted rows to `q`.
+     */
+    stream: function(conn, q) {
+        const self = this;
+
+        return new CursorStream(self, conn, q, _.toArray(arguments).slice(2));
+    },
+
+    /**
+     * Runs `q` bound to the remaining arguments, reporting each model it returns as progress, or resolving to the
+     * only one with `uniqueResult()` or to all of them with `collectResults()`. `q` is run as given, so it is up to
+     * it to leave out soft deleted rows, which the methods building their own queries do.
+     */
     query: function(conn, q) {
         const self = this;
         const d = bluebird.defer();
@@ -223,31 +1503,41 @@ DAO.prototype = {
         let uniqueResult = false;
         let collectResults = false;
         let res = null;
+        let loaded = bluebird.resolve();
 
         query.on("row", function(row) {
-            let m = new self.model.modelConstructor(row);
+            let m = new self.model.modelConstructor(self.model.fromRow(row));
 
             if (uniqueResult) {
                 if (res === null) {
                     res = m;
                 } else {
-                    return d.reject(new Error("multiple results"));
+                    return d.reject(new errors.MultipleResultsError(self.model));
                 }
             } else if (collectResults) {
                 res.push(m);
             }
 
-            d.progress(m);
+            // postLoad hooks run one row after the other so progress is still reported in row order
+            loaded = loaded.then(function() {
+                return runHooks(m, "postLoad", conn);
+            }).then(function() {
+                d.progress(m);
+            });
         });
         query.on("end", function() {
-            if (uniqueResult || collectResults) {
-                d.resolve(res);
-            } else {
-                d.resolve();
-            }
+            loaded.then(function() {
+                if (uniqueResult || collectResults) {
+                    d.resolve(res);
+                } else {
+                    d.resolve();
+                }
+            }, function(err) {
+                d.reject(err);
+            });
         });
         query.on("error", function(err) {
-            d.reject(err);
+            d.reject(errors.fromPg(err, self.model));
         });
 
         d.promise.uniqueResult = function() {
@@ -267,25 +1557,145 @@ DAO.prototype = {
     }
 };
 
-DAO.inTransaction = bluebird.coroutine(function*(conn, fn, opts) {
-    try {
-        yield conn.queryAsync("BEGIN;");
+function isConnection(conn) {
+    return !!conn && typeof conn.queryAsync === "function";
+}
 
-        const res = yield fn();
+/**
+ * Returns the innermost transaction open on the latest client of `pool` that `DAO.prototype.inTransaction` runs a
+ * transaction on, or null.
+ */
+function activeTransaction(pool) {
+    const clients = pool && scopes.get(pool);
 
-        if (opts && opts.readOnly) {
-            yield conn.queryAsync("ROLLBACK;");
-        } else {
-            yield conn.queryAsync("COMMIT;");
+    return clients && clients.length > 0 ? Transaction.current(clients[clients.length - 1]) : null;
+}
+
+/**
+ * Tells whether `ex` leaves the client it was raised on unfit for reuse: a failure of its connection, or of rolling
+ * back after an error. Errors postgres reports and those of the application leave the client usable.
+ */
+function isClientFailure(ex) {
+    return !!ex && (!!errors.driverError(ex).syscall || !!ex.rollbackError);
+}
+
+/**
+ * Checks a client out of `pool` for `fn(client)` and releases it once the promise returned by `fn` settles. The pool
+ * is anything with a `connect(callback)` calling back with `(err, client, done)` like pg pools do. Clients without
+ * promisified methods are promisified. Clients whose connection ended or failed meanwhile, see isClientFailure, are
+ * released with the error, which makes pg discard them.
+ */
+DAO.withConnection = function(pool, fn) {
+    const d = bluebird.defer();
+
+    pool.connect(function(err, client, done) {
+        let ended = false;
+        const onEnd = function() {
+            ended = true;
+        };
+
+        if (err) {
+            return d.reject(err);
         }
 
-        return res;
-    } catch (ex) {
-        // apparently jshint can't tell it's in a generator here...
-        yield conn.queryAsync("ROLLBACK;"); // jshint ignore:line
+        if (!isConnection(client)) {
+            bluebird.promisifyAll(client);
+        }
 
-        throw ex;
+        if (typeof client.once === "function") {
+            client.once("end", onEnd);
+        }
+
+        bluebird.attempt(fn, [client]).then(function(res) {
+            release(client, onEnd, done, ended ? new Error("Connection ended") : undefined);
+            d.resolve(res);
+        }, function(ex) {
+            release(client, onEnd, done, ended || isClientFailure(ex) ? ex : undefined);
+            d.reject(ex);
+        });
+    });
+
+    return d.promise;
+};
+
+function release(client, onEnd, done, err) {
+    if (typeof client.removeListener === "function") {
+        client.removeListener("end", onEnd);
     }
+
+    done(err);
+}
+
+function returnsStream(name, args) {
+    return name === "stream" || name === "list" && !!args[0] && !!args[0].stream;
+}
+
+/**
+ * Makes a method taking a connection as its first argument use the DAO's bound connection, the transaction a DAO
+ * runs on its pool, see DAO.prototype.inTransaction, or a pooled one when called without. Calls on the pool keep
+ * `uniqueResult`, `collectResults` and progress reporting of `query`.
+ */
+function withConnection(name, method) {
+    return function() {
+        const self = this;
+        const args = _.toArray(arguments);
+        const active = self.conn ? null : activeTransaction(self.pool);
+
+        if (isConnection(args[0]) || !self.pool && !self.conn) {
+            return method.apply(self, args);
+        } else if (self.conn || active) {
+            return method.apply(self, [self.conn || active].concat(args));
+        } else if (returnsStream(name, args)) {
+            // streams check a client out themselves, for as long as they are read
+            return method.apply(self, [null].concat(args));
+        }
+
+        const d = bluebird.defer();
+        let uniqueResult = false;
+        let collectResults = false;
+
+        DAO.withConnection(self.pool, function(conn) {
+            let p = method.apply(self, [conn].concat(args));
+
+            if (uniqueResult && p.uniqueResult) {
+                p = p.uniqueResult();
+            } else if (collectResults && p.collectResults) {
+                p = p.collectResults();
+            }
+
+            return p.progressed(function(value) {
+                d.progress(value);
+            });
+        }).then(function(res) {
+            d.resolve(res);
+        }, function(ex) {
+            d.reject(ex);
+        });
+
+        d.promise.uniqueResult = function() {
+            uniqueResult = true;
+
+            return d.promise;
+        };
+
+        d.promise.collectResults = function() {
+            collectResults = true;
+
+            return d.promise;
+        };
+
+        return d.promise;
+    };
+}
+
+CONNECTION_METHODS.forEach(function(name) {
+    DAO.prototype[name] = withConnection(name, DAO.prototype[name]);
 });
 
+/**
+ * Runs `fn(tx)` in a transaction, see Transaction.run. `tx` can be passed to DAO methods in place of the connection.
+ */
+DAO.inTransaction = Transaction.run;
+DAO.Transaction = Transaction;
+
 module.exports = DAO;
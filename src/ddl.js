@@ -0,0 +1,123 @@
+"use strict";
+
+const types = require("./types");
+
+const plainTypes = [
+    [String, "text"],
+    [Number, "double precision"],
+    [Boolean, "boolean"]
+];
+
+function sqlType(attr) {
+    if (attr.sqlType) {
+        return attr.sqlType;
+    }
+
+    const type = types.typeOf(attr.type);
+
+    if (type && type.sql) {
+        return type.sql;
+    }
+
+    for (let i = 0; i < plainTypes.length; i++) {
+        if (plainTypes[i][0] === attr.type) {
+            return plainTypes[i][1];
+        }
+    }
+
+    throw new Error("No SQL type for attribute type " + (attr.type && attr.type.name || attr.type));
+}
+
+function literal(value) {
+    if (value === null) {
+        return "NULL";
+    } else if (typeof value === "number" || typeof value === "boolean") {
+        return String(value);
+    } else if (value instanceof Date) {
+        return "'" + value.toISOString() + "'";
+    } else if (typeof value === "string") {
+        return "'" + value.replace(/'/g, "''") + "'";
+    } else {
+        return "'" + JSON.stringify(value).replace(/'/g, "''") + "'";
+    }
+}
+
+/**
+ * Groups attributes flagged with `flag` by constraint or index name. `true` gives the attribute a group of its own,
+ * a string puts every attribute flagged with the same string in one group.
+ */
+function groups(model, flag) {
+    return Object.keys(model.attrs).reduce(function(res, attrName) {
+        const value = model.attrs[attrName][flag];
+
+        if (value) {
+            const name = value === true ? model.table + "_" + model.attrs[attrName].column + "_" + flag : value;
+
+            if (!res.hasOwnProperty(name)) {
+                res[name] = [];
+            }
+
+            res[name].push(model.attrs[attrName].column);
+        }
+
+        return res;
+    }, {});
+}
+
+/**
+ * Generates the CREATE TABLE statement for a model stored in `table`, followed by CREATE INDEX statements for attrs
+ * flagged with `index`. Columns are NOT NULL when they are ids or validated with isNotNull, and get the attr's literal
+ * `default` or its `sqlDefault` expression.
+ */
+function createTable(model, table, opts) {
+    const uniques = groups(model, "unique");
+    const indexes = groups(model, "index");
+    const lines = Object.keys(model.attrs).map(function(attrName) {
+        const attr = model.attrs[attrName];
+        let line = attr.column + " " + sqlType(attr);
+
+        if (model.isNotNull(attrName)) {
+            line += " NOT NULL";
+        }
+
+        if (attr.sqlDefault) {
+            line += " DEFAULT " + attr.sqlDefault;
+        } else if (attr.hasOwnProperty("default") && typeof attr.default !== "function") {
+            line += " DEFAULT " + literal(attr.default);
+        }
+
+        return line;
+    });
+
+    if (model.ids.length > 0) {
+        lines.push("PRIMARY KEY (" + model.ids.map(function(attrName) {
+            return model.attrs[attrName].column;
+        }).join(", ") + ")");
+    }
+
+    Object.keys(uniques).forEach(function(name) {
+        lines.push("CONSTRAINT " + name + " UNIQUE (" + uniques[name].join(", ") + ")");
+    });
+
+    const statements = [
+        "CREATE TABLE " + (opts && opts.ifNotExists ? "IF NOT EXISTS " : "") + table + " (\n    " +
+            lines.join(",\n    ") + "\n)"
+    ];
+
+    Object.keys(indexes).forEach(function(name) {
+        statements.push("CREATE INDEX " + (opts && opts.ifNotExists ? "IF NOT EXISTS " : "") + name + " ON " +
+            table + " (" + indexes[name].join(", ") + ")");
+    });
+
+    return statements.join(";\n") + ";";
+}
+
+function dropTable(table, opts) {
+    return "DROP TABLE " + (opts && opts.ifExists ? "IF EXISTS " : "") + table +
+        (opts && opts.cascade ? " CASCADE" : "") + ";";
+}
+
+module.exports = {
+    createTable: createTable,
+    dropTable: dropTable
+};
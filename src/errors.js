@@ -0,0 +1,213 @@
+"use strict";
+
+const _ = require("underscore");
+const bluebird = require("bluebird");
+
+/**
+ * Sets up `Ctor` as a subclass of `Parent`, which is Error or one of the errors below.
+ */
+function inherit(Ctor, Parent, name, props) {
+    Ctor.prototype = _.extend(Object.create(Parent.prototype), { constructor: Ctor, name: name }, props);
+}
+
+function init(self, Ctor, message) {
+    Error.captureStackTrace(self, Ctor);
+
+    self.message = message;
+}
+
+function modelName(model) {
+    return model && model.table || "model";
+}
+
+/**
+ * Thrown by `validate` with the `[attribute name, message]` pairs of the failed validations, which `byAttr` groups
+ * into arrays of messages keyed by attribute name.
+ */
+function ValidationError(failed) {
+    const self = this;
+
+    init(self, ValidationError, "Validation failed: " + failed.map(function(failure) {
+        return failure[0] + " " + failure[1];
+    }).join(", "));
+
+    self.failed = failed;
+    self.byAttr = failed.reduce(function(res, failure) {
+        res[failure[0]] = (res[failure[0]] || []).concat([failure[1]]);
+
+        return res;
+    }, {});
+}
+
+inherit(ValidationError, Error, "ValidationError", { failed: null, byAttr: null });
+
+/**
+ * Thrown by `getOrFail` when there is no model with the id.
+ */
+function NotFoundError(model, id) {
+    const self = this;
+
+    init(self, NotFoundError, "No " + modelName(model) + " " + JSON.stringify(id));
+
+    self.model = model;
+    self.id = id;
+}
+
+inherit(NotFoundError, Error, "NotFoundError", { model: null, id: null });
+
+/**
+ * Thrown when a query expected to return a single row returns more.
+ */
+function MultipleResultsError(model) {
+    const self = this;
+
+    init(self, MultipleResultsError, "Multiple results for " + modelName(model));
+
+    self.model = model;
+}
+
+inherit(MultipleResultsError, Error, "MultipleResultsError", { model: null });
+
+/**
+ * Thrown by `update` when the version attribute of a model no longer matches the row, meaning someone else updated
+ * it since the model was loaded.
+ */
+function StaleObjectError(model, id) {
+    const self = this;
+
+    init(self, StaleObjectError, "Stale " + modelName(model) + " " + JSON.stringify(id));
+
+    self.model = model;
+    self.id = id;
+}
+
+inherit(StaleObjectError, Error, "StaleObjectError", { model: null, id: null });
+
+/**
+ * An error reported by postgres, translated by `fromPg`. `cause` is the driver's error, `code` its SQLSTATE, and
+ * `attrNames` the attributes of the model whose columns the error names.
+ */
+function DatabaseError(cause, model, attrNames) {
+    const self = this;
+
+    init(self, self.constructor, cause.message);
+
+    self.cause = cause;
+    self.code = cause.code;
+    self.model = model || null;
+    self.attrNames = attrNames || [];
+    self.constraint = cause.constraint || null;
+    self.detail = cause.detail || null;
+}
+
+inherit(DatabaseError, Error, "DatabaseError", {
+    cause: null,
+    code: null,
+    model: null,
+    attrNames: null,
+    constraint: null,
+    detail: null
+});
+
+function UniqueViolationError() {
+    const self = this;
+
+    DatabaseError.apply(self, arguments);
+}
+
+inherit(UniqueViolationError, DatabaseError, "UniqueViolationError");
+
+function ForeignKeyViolationError() {
+    const self = this;
+
+    DatabaseError.apply(self, arguments);
+}
+
+inherit(ForeignKeyViolationError, DatabaseError, "ForeignKeyViolationError");
+
+function NotNullViolationError() {
+    const self = this;
+
+    DatabaseError.apply(self, arguments);
+}
+
+inherit(NotNullViolationError, DatabaseError, "NotNullViolationError");
+
+function SerializationFailureError() {
+    const self = this;
+
+    DatabaseError.apply(self, arguments);
+}
+
+inherit(SerializationFailureError, DatabaseError, "SerializationFailureError");
+
+const sqlStates = {
+    "23505": UniqueViolationError,
+    "23503": ForeignKeyViolationError,
+    "23502": NotNullViolationError,
+    "40001": SerializationFailureError
+};
+
+/**
+ * Finds the columns an error is about, from its `column` field or the `Key (a, b)=(...)` of its detail, or else the
+ * `column "a"` of its message.
+ */
+function columnsOf(err) {
+    const key = /^Key \(([^)]+)\)=/.exec(err.detail || "");
+    const column = /column "([^"]+)"/.exec(err.message || "");
+
+    if (err.column) {
+        return [err.column];
+    } else if (key) {
+        return key[1].split(",").map(function(name) {
+            return name.trim().replace(/^"|"$/g, "");
+        });
+    } else if (column) {
+        return [column[1]];
+    } else {
+        return [];
+    }
+}
+
+/**
+ * Returns the error of the driver behind `err`, which promisified clients wrap in a bluebird RejectionError.
+ */
+function driverError(err) {
+    return err instanceof bluebird.RejectionError && err.cause instanceof Error ? err.cause : err;
+}
+
+/**
+ * Translates an error of the driver into one of the DatabaseErrors above by its SQLSTATE, naming the attributes of
+ * `model` it is about. Other errors are returned as is.
+ */
+function fromPg(err, model) {
+    const cause = driverError(err);
+
+    if (!cause || !sqlStates.hasOwnProperty(cause.code) || err instanceof DatabaseError) {
+        return err;
+    }
+
+    const attrNames = model ? columnsOf(cause).map(function(column) {
+        const attrName = _.find(Object.keys(model.attrs), function(name) {
+            return model.attrs[name].column === column;
+        });
+
+        return attrName || column;
+    }) : columnsOf(cause);
+
+    return new sqlStates[cause.code](cause, model, attrNames);
+}
+
+module.exports = {
+    ValidationError: ValidationError,
+    NotFoundError: NotFoundError,
+    MultipleResultsError: MultipleResultsError,
+    StaleObjectError: StaleObjectError,
+    DatabaseError: DatabaseError,
+    UniqueViolationError: UniqueViolationError,
+    ForeignKeyViolationError: ForeignKeyViolationError,
+    NotNullViolationError: NotNullViolationError,
+    SerializationFailureError: SerializationFailureError,
+    driverError: driverError,
+    fromPg: fromPg
+};
@@ -2,8 +2,16 @@
 
 const Model = require("./model");
 const DAO = require("./dao");
+const Migrator = require("./migrations");
+const introspect = require("./introspect");
+const validations = require("./validations");
+const errors = require("./errors");
 
 module.exports = {
     Model: Model,
-    DAO: DAO
+    DAO: DAO,
+    Migrator: Migrator,
+    introspect: introspect,
+    validations: validations,
+    errors: errors
 };
\ No newline at end of file
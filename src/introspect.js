@@ -0,0 +1,271 @@
+"use strict";
+
+const fs = require("fs");
+const path = require("path");
+const bluebird = require("bluebird");
+const Model = require("./model");
+const validations = require("./validations");
+
+const COLUMNS = "SELECT c.table_name, c.column_name, c.udt_name, c.is_nullable, c.column_default, " +
+    "c.character_maximum_length " +
+    "FROM information_schema.columns c " +
+    "JOIN information_schema.tables t ON t.table_schema = c.table_schema AND t.table_name = c.table_name " +
+    "WHERE c.table_schema = $1 AND t.table_type = 'BASE TABLE' " +
+    "ORDER BY c.table_name, c.ordinal_position;";
+
+const PRIMARY_KEYS = "SELECT cl.relname AS table_name, a.attname AS column_name " +
+    "FROM pg_catalog.pg_index i " +
+    "JOIN pg_catalog.pg_class cl ON cl.oid = i.indrelid " +
+    "JOIN pg_catalog.pg_namespace n ON n.oid = cl.relnamespace " +
+    "JOIN pg_catalog.pg_attribute a ON a.attrelid = cl.oid AND a.attnum = ANY(i.indkey) " +
+    "WHERE i.indisprimary AND n.nspname = $1;";
+
+// udt names mapped to the name of the attr type, either a member of Model.Types or a plain constructor
+const typeNames = {
+    int2: "Integer",
+    int4: "Integer",
+    int8: "BigInt",
+    numeric: "Decimal",
+    float4: "Number",
+    float8: "Number",
+    text: "String",
+    varchar: "String",
+    bpchar: "String",
+    citext: "String",
+    bool: "Boolean",
+    uuid: "UUID",
+    json: "JSON",
+    jsonb: "JSONB",
+    date: "DateOnly",
+    timestamptz: "Timestamp",
+    timestamp: "Timestamp"
+};
+
+const plainTypes = {
+    String: String,
+    Number: Number,
+    Boolean: Boolean
+};
+
+function camelCase(name) {
+    return name.replace(/_+([a-z0-9])/g, function(match, c) {
+        return c.toUpperCase();
+    });
+}
+
+// attribute names come from column names, which needn't be identifiers
+function propertyName(name) {
+    return /^[A-Za-z_$][A-Za-z0-9_$]*$/.test(name) ? name : JSON.stringify(name);
+}
+
+function pascalCase(name) {
+    const camel = camelCase(name);
+
+    return camel.charAt(0).toUpperCase() + camel.slice(1);
+}
+
+/**
+ * Turns a column default into either a literal `default` or an `sqlDefault` expression.
+ */
+function parseDefault(expr) {
+    const literal = /^'((?:[^']|'')*)'::(text|character varying|character|bpchar|citext)$/.exec(expr);
+
+    if (expr === null || /^NULL(::.*)?$/i.test(expr)) {
+        return {};
+    } else if (literal) {
+        return { default: literal[1].replace(/''/g, "'") };
+    } else if (/^-?\d+(\.\d+)?$/.test(expr)) {
+        return { default: parseFloat(expr) };
+    } else if (expr === "true" || expr === "false") {
+        return { default: expr === "true" };
+    } else {
+        return { sqlDefault: expr };
+    }
+}
+
+/**
+ * Builds the attrs definition of a column, with the attr type given by name.
+ */
+function columnAttr(column, isId) {
+    const attr = { typeName: typeNames[column.udt_name] || "String", column: column.column_name };
+    const serial = column.udt_name === "int4" && /^nextval\(/.test(column.column_default || "");
+
+    if (serial) {
+        attr.typeName = "Serial";
+    } else {
+        const def = parseDefault(column.column_default);
+
+        if (def.hasOwnProperty("default")) {
+            attr.default = def.default;
+        } else if (def.sqlDefault) {
+            attr.sqlDefault = def.sqlDefault;
+        }
+    }
+
+    if (column.udt_name === "varchar" && column.character_maximum_length) {
+        attr.sqlType = "varchar(" + column.character_maximum_length + ")";
+    } else if (column.udt_name === "timestamp") {
+        attr.sqlType = "timestamp without time zone";
+    } else if (!typeNames.hasOwnProperty(column.udt_name)) {
+        attr.sqlType = column.udt_name;
+    }
+
+    if (isId) {
+        attr.id = true;
+    }
+
+    // columns with defaults may be left null and filled in by postgres
+    attr.notNull = !isId && column.is_nullable === "NO" && column.column_default === null;
+
+    return attr;
+}
+
+/**
+ * Reads the tables of `schema` into model definitions keyed by table name. Each definition holds the table name,
+ * the model name and attrs keyed by camel cased attribute names, which carry the attr type by name in `typeName` and
+ * whether the column is NOT NULL without a default in `notNull`. `opts.tables` restricts the tables read.
+ */
+const describe = bluebird.coroutine(function*(conn, schema, opts) {
+    const columns = yield conn.queryAsync(COLUMNS, [schema]);
+    const primaryKeys = yield conn.queryAsync(PRIMARY_KEYS, [schema]);
+    const ids = {};
+    const definitions = {};
+
+    primaryKeys.rows.forEach(function(row) {
+        ids[row.table_name + "." + row.column_name] = true;
+    });
+
+    columns.rows.forEach(function(column) {
+        const table = column.table_name;
+
+        if (opts && opts.tables && opts.tables.indexOf(table) === -1) {
+            return;
+        }
+
+        if (!definitions.hasOwnProperty(table)) {
+            definitions[table] = { table: table, name: pascalCase(table), attrs: {} };
+        }
+
+        definitions[table].attrs[camelCase(column.column_name)] =
+            columnAttr(column, ids.hasOwnProperty(table + "." + column.column_name));
+    });
+
+    return definitions;
+});
+
+/**
+ * Defines a live model from a definition read by `describe`.
+ */
+function define(definition) {
+    const attrs = {};
+    const modelValidations = {};
+
+    Object.keys(definition.attrs).forEach(function(attrName) {
+        const attr = definition.attrs[attrName];
+
+        attrs[attrName] = Object.keys(attr).reduce(function(res, key) {
+            if (key === "typeName") {
+                res.type = plainTypes[attr.typeName] || Model.Types[attr.typeName];
+            } else if (key !== "notNull") {
+                res[key] = attr[key];
+            }
+
+            return res;
+        }, {});
+
+        if (attr.notNull) {
+            modelValidations[attrName] = [validations.isNotNull];
+        }
+    });
+
+    return Model.define(attrs, { table: definition.table, validations: modelValidations });
+}
+
+/**
+ * Generates the source of a module defining the model of a definition read by `describe`. `opts.require` is what the
+ * module requires excalipur as, "excalipur" by default.
+ */
+function source(definition, opts) {
+    const attrNames = Object.keys(definition.attrs);
+    const notNull = attrNames.filter(function(attrName) {
+        return definition.attrs[attrName].notNull;
+    });
+    const attrLines = attrNames.map(function(attrName) {
+        const attr = definition.attrs[attrName];
+        const props = [
+            "type: " + (plainTypes.hasOwnProperty(attr.typeName) ? attr.typeName : "Model.Types." + attr.typeName)
+        ];
+
+        if (attr.column !== attrName) {
+            props.push("column: " + JSON.stringify(attr.column));
+        }
+
+        ["id", "default", "sqlDefault", "sqlType"].forEach(function(key) {
+            if (attr.hasOwnProperty(key)) {
+                props.push(key + ": " + JSON.stringify(attr[key]));
+            }
+        });
+
+        return "    " + propertyName(attrName) + ": { " + props.join(", ") + " }";
+    });
+    const lines = [
+        "\"use strict\";",
+        "",
+        "const excalipur = require(" + JSON.stringify(opts && opts.require || "excalipur") + ");",
+        "const Model = excalipur.Model;"
+    ];
+
+    if (notNull.length > 0) {
+        lines.push("const validations = excalipur.validations;");
+    }
+
+    lines.push("", "module.exports = Model.define({", attrLines.join(",\n"), "}, {");
+    lines.push("    table: " + JSON.stringify(definition.table) + (notNull.length > 0 ? "," : ""));
+
+    if (notNull.length > 0) {
+        lines.push("    validations: {", notNull.map(function(attrName) {
+            return "        " + propertyName(attrName) + ": [validations.isNotNull]";
+        }).join(",\n"), "    }");
+    }
+
+    lines.push("});", "");
+
+    return lines.join("\n");
+}
+
+/**
+ * Defines live models for the tables of `schema`, keyed by model name.
+ */
+const models = bluebird.coroutine(function*(conn, schema, opts) {
+    const definitions = yield describe(conn, schema, opts);
+
+    return Object.keys(definitions).reduce(function(res, table) {
+        res[definitions[table].name] = define(definitions[table]);
+
+        return res;
+    }, {});
+});
+
+/**
+ * Writes a model module named after the table for each table of `schema` into `directory`. Resolves to the paths
+ * written.
+ */
+const generate = bluebird.coroutine(function*(conn, schema, directory, opts) {
+    const definitions = yield describe(conn, schema, opts);
+
+    return Object.keys(definitions).map(function(table) {
+        const file = path.join(directory, table + ".js");
+
+        fs.writeFileSync(file, source(definitions[table], opts));
+
+        return file;
+    });
+});
+
+module.exports = {
+    describe: describe,
+    define: define,
+    source: source,
+    models: models,
+    generate: generate
+};
@@ -0,0 +1,263 @@
+"use strict";
+
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+const bluebird = require("bluebird");
+const DAO = require("./dao");
+
+const MIGRATION_FILE = /^(\d+)[_-](.+)\.js$/;
+
+/**
+ * Runs the migrations in `opts.directory` against a connection. Migration files are named `<version>_<name>.js`
+ * and export `up(conn)` and `down(conn)`, which may return promises. Applied versions are recorded along with a
+ * checksum of the file in `opts.table` (default "migrations"), in `opts.schema` if given.
+ *
+ * Every migration runs in its own transaction together with its bookkeeping, and a session advisory lock keyed by
+ * `opts.lockId` makes concurrent runs wait for each other.
+ */
+function Migrator(opts) {
+    const self = this;
+
+    if (!opts || !opts.directory) {
+        throw new Error("Expected migrations directory");
+    }
+
+    self.directory = opts.directory;
+    self.schema = opts.schema || null;
+    self.table = opts.table || "migrations";
+    self.lockId = opts.lockId || 4242424242;
+}
+
+Migrator.prototype = {
+    directory: null,
+    schema: null,
+    table: null,
+    lockId: null,
+
+    /**
+     * Reads the migrations from the directory, ordered by version.
+     */
+    load: function() {
+        const self = this;
+        const seen = {};
+
+        return fs.readdirSync(self.directory).filter(function(file) {
+            return MIGRATION_FILE.test(file);
+        }).map(function(file) {
+            const match = MIGRATION_FILE.exec(file);
+            const filePath = path.resolve(self.directory, file);
+            const version = parseInt(match[1], 10);
+
+            if (seen.hasOwnProperty(version)) {
+                throw new Error("Duplicate migration version " + version + " in " + seen[version] + " and " + file);
+            }
+
+            seen[version] = file;
+
+            return {
+                version: version,
+                name: match[2],
+                file: file,
+                checksum: crypto.createHash("sha1").update(fs.readFileSync(filePath)).digest("hex"),
+                module: require(filePath)
+            };
+        }).sort(function(a, b) {
+            return a.version - b.version;
+        });
+    },
+
+    /**
+     * Works out which migrations to run to get from the `applied` versions to `target`, every migration when no
+     * target is given. Returns the migrations to roll back, latest first, followed by the ones to apply.
+     */
+    plan: function(migrations, applied, target) {
+        const isApplied = applied.reduce(function(res, row) {
+            res[row.version] = true;
+
+            return res;
+        }, {});
+        const limit = typeof target === "undefined" || target === null ? Infinity : target;
+
+        return {
+            down: migrations.filter(function(migration) {
+                return isApplied[migration.version] && migration.version > limit;
+            }).reverse(),
+            up: migrations.filter(function(migration) {
+                return !isApplied[migration.version] && migration.version <= limit;
+            })
+        };
+    },
+
+    /**
+     * Checks every applied migration still exists and hasn't been changed since.
+     */
+    verify: function(migrations, applied) {
+        const byVersion = migrations.reduce(function(res, migration) {
+            res[migration.version] = migration;
+
+            return res;
+        }, {});
+
+        applied.forEach(function(row) {
+            const migration = byVersion[row.version];
+
+            if (!migration) {
+                throw new Error("Applied migration " + row.version + "_" + row.name + " is missing");
+            }
+
+            if (migration.checksum !== row.checksum) {
+                throw new Error("Applied migration " + migration.file + " has changed");
+            }
+        });
+    },
+
+    ensureTable: function(conn) {
+        const self = this;
+
+        return conn.queryAsync("CREATE TABLE IF NOT EXISTS " + DAO.tableRef(self.schema, self.table) + " (\n" +
+            "    version bigint NOT NULL PRIMARY KEY,\n" +
+            "    name text NOT NULL,\n" +
+            "    checksum text NOT NULL,\n" +
+            "    applied_at timestamp with time zone NOT NULL DEFAULT now()\n" +
+            ");");
+    },
+
+    applied: bluebird.coroutine(function*(conn) {
+        const self = this;
+
+        yield self.ensureTable(conn);
+
+        const res = yield conn.queryAsync("SELECT version, name, checksum, applied_at FROM " +
+            DAO.tableRef(self.schema, self.table) + " ORDER BY version;");
+
+        return res.rows.map(function(row) {
+            return {
+                version: parseInt(row.version, 10),
+                name: row.name,
+                checksum: row.checksum,
+                appliedAt: row.applied_at
+            };
+        });
+    }),
+
+    /**
+     * Lists every migration with whether and when it was applied, and whether it changed since.
+     */
+    status: bluebird.coroutine(function*(conn) {
+        const self = this;
+        const migrations = self.load();
+        const applied = yield self.applied(conn);
+        const byVersion = applied.reduce(function(res, row) {
+            res[row.version] = row;
+
+            return res;
+        }, {});
+
+        return migrations.map(function(migration) {
+            const row = byVersion[migration.version];
+
+            return {
+                version: migration.version,
+                name: migration.name,
+                applied: !!row,
+                appliedAt: row ? row.appliedAt : null,
+                changed: !!row && row.checksum !== migration.checksum
+            };
+        });
+    }),
+
+    /**
+     * Migrates up or down to the `target` version, or up to the latest one. Resolves to the migrations that were
+     * run.
+     */
+    migrate: function(conn, target) {
+        const self = this;
+
+        return self.withLock(conn, bluebird.coroutine(function*() {
+            const migrations = self.load();
+            const applied = yield self.applied(conn);
+
+            self.verify(migrations, applied);
+
+            const plan = self.plan(migrations, applied, target);
+
+            for (let i = 0; i < plan.down.length; i++) {
+                yield self.runDown(conn, plan.down[i]);
+            }
+
+            for (let i = 0; i < plan.up.length; i++) {
+                yield self.runUp(conn, plan.up[i]);
+            }
+
+            return plan.down.concat(plan.up);
+        }));
+    },
+
+    /**
+     * Rolls back the latest `n` applied migrations, one by default. Resolves to the migrations that were rolled back.
+     */
+    rollback: function(conn, n) {
+        const self = this;
+
+        return self.withLock(conn, bluebird.coroutine(function*() {
+            const migrations = self.load();
+            const applied = yield self.applied(conn);
+
+            self.verify(migrations, applied);
+
+            const count = typeof n === "number" ? n : 1;
+            const versions = (count > 0 ? applied.slice(-count) : []).map(function(row) {
+                return row.version;
+            });
+            const down = migrations.filter(function(migration) {
+                return versions.indexOf(migration.version) !== -1;
+            }).reverse();
+
+            for (let i = 0; i < down.length; i++) {
+                yield self.runDown(conn, down[i]);
+            }
+
+            return down;
+        }));
+    },
+
+    runUp: function(conn, migration) {
+        const self = this;
+
+        return DAO.inTransaction(conn, bluebird.coroutine(function*() {
+            yield bluebird.resolve(migration.module.up(conn));
+            yield conn.queryAsync("INSERT INTO " + DAO.tableRef(self.schema, self.table) +
+                " (version, name, checksum) VALUES ($1, $2, $3);",
+                [migration.version, migration.name, migration.checksum]);
+        }));
+    },
+
+    runDown: function(conn, migration) {
+        const self = this;
+
+        if (typeof migration.module.down !== "function") {
+            return bluebird.reject(new Error("Migration " + migration.file + " can't be rolled back"));
+        }
+
+        return DAO.inTransaction(conn, bluebird.coroutine(function*() {
+            yield bluebird.resolve(migration.module.down(conn));
+            yield conn.queryAsync("DELETE FROM " + DAO.tableRef(self.schema, self.table) + " WHERE version = $1;",
+                [migration.version]);
+        }));
+    },
+
+    withLock: bluebird.coroutine(function*(conn, fn) {
+        const self = this;
+
+        yield conn.queryAsync("SELECT pg_advisory_lock($1);", [self.lockId]);
+
+        try {
+            return yield fn();
+        } finally {
+            yield conn.queryAsync("SELECT pg_advisory_unlock($1);", [self.lockId]);
+        }
+    })
+};
+
+module.exports = Migrator;
@@ -1,8 +1,12 @@
 "use strict";
 
 const _ = require("underscore");
+const bluebird = require("bluebird");
 const EventEmitter = require("events").EventEmitter;
 const validations = require("./validations");
+const types = require("./types");
+const ddl = require("./ddl");
+const DAO = require("./dao");
 
 
 function Model(attrs, opts) {
@@ -10,10 +14,33 @@ function Model(attrs, opts) {
 
     self.attrs = attrs;
     self.modelMethods = opts && opts.methods || {};
-    self.validations = opts && opts.validations || {};
+    self.validations = _.extend({}, opts && opts.validations);
     self.initializer = opts && opts.initializer;
     self.hooks = opts && opts.hooks || {};
     self.table = opts && opts.table || null;
+    self.relations = {};
+    self.ids = [];
+    self.softDelete = opts && opts.softDelete || null;
+
+    if (self.softDelete && !attrs.hasOwnProperty(self.softDelete)) {
+        throw new Error("Expected softDelete to name an attribute, got " + self.softDelete);
+    }
+
+    if (opts && opts.relations) {
+        Object.keys(opts.relations).forEach(function(relationName) {
+            self.relations[relationName] = new Relation(relationName, opts.relations[relationName]);
+        });
+    }
+
+    self.views = opts && opts.views || {};
+
+    Object.keys(self.views).forEach(function(view) {
+        self.views[view].forEach(function(name) {
+            if (!attrs.hasOwnProperty(name) && !self.relations.hasOwnProperty(name)) {
+                throw new Error("Unknown attribute or relation " + name + " in view " + view);
+            }
+        });
+    });
 
     Object.keys(attrs).forEach(function(attrName) {
         const attr = attrs[attrName];
@@ -23,10 +50,27 @@ function Model(attrs, opts) {
         }
 
         if (attr.id) {
-            self.id = attrName;
+            self.ids.push(attrName);
+        }
+
+        const rules = validations.attrRules(attr);
+
+        if (rules.length > 0) {
+            self.validations[attrName] = rules.concat(self.validations[attrName] || []);
+        }
+
+        if (attr.version) {
+            self.version = attrName;
+
+            if (!attr.hasOwnProperty("default")) {
+                attr.default = 1;
+            }
         }
     });
 
+    // a single id attribute is also exposed as the id, multiple ones form a composite key
+    self.id = self.ids.length === 1 ? self.ids[0] : null;
+
     self.modelConstructor = function(attrs) {
         const self = this;
 
@@ -36,6 +80,13 @@ function Model(attrs, opts) {
     };
 
     self.modelConstructor.prototype = self;
+
+    // instances are proxies without a prototype, so instanceof has to ask them for their model
+    Object.defineProperty(self.modelConstructor, Symbol.hasInstance, {
+        value: function(obj) {
+            return _.isObject(obj) && obj.__model__ === self;
+        }
+    });
 }
 
 Model.prototype = {
@@ -45,19 +96,138 @@ Model.prototype = {
     initializer: null,
     hooks: null,
     table: null,
+    relations: null,
     id: null,
+    ids: null,
+    version: null,
+    softDelete: null,
+    views: null,
     modelConstructor: null,
 
+    /**
+     * Generates the DDL creating the model's table, qualified with `opts.schema` if given.
+     */
+    toDDL: function(opts) {
+        const self = this;
+
+        return ddl.createTable(self, DAO.tableRef(opts && opts.schema, self.table), opts);
+    },
+
+    toDropDDL: function(opts) {
+        const self = this;
+
+        return ddl.dropTable(DAO.tableRef(opts && opts.schema, self.table), opts);
+    },
+
+    /**
+     * Converts a row read from postgres into attribute values keyed by attribute name, leaving out columns that
+     * aren't attributes.
+     */
+    fromRow: function(row) {
+        const self = this;
+
+        return Object.keys(self.attrs).reduce(function(values, attrName) {
+            const attr = self.attrs[attrName];
+
+            if (row.hasOwnProperty(attr.column)) {
+                values[attrName] = types.convert(attr.type, "fromDb", row[attr.column]);
+            }
+
+            return values;
+        }, {});
+    },
+
+    /**
+     * Whether an attribute can't be null, which ids and attributes validated with isNotNull can't.
+     */
+    isNotNull: function(attrName) {
+        const self = this;
+        const attrValidations = self.validations && self.validations[attrName] || [];
+
+        return self.ids.indexOf(attrName) !== -1 || attrValidations.some(function(validation) {
+            return validation === validations.isNotNull ||
+                _.isArray(validation) && validation[0] === validations.isNotNull;
+        });
+    },
+
+    /**
+     * Turns an id into criteria on the id attributes. A composite key is given as an object keyed by attribute
+     * names, e.g. `{ a: 1, b: 2 }`.
+     */
+    idCriteria: function(id) {
+        const self = this;
+
+        if (self.ids.length === 0) {
+            throw new Error("Model has no id attributes");
+        }
+
+        const isKeyObject = _.isObject(id) && Object.getPrototypeOf(id) === Object.prototype;
+
+        return self.ids.reduce(function(where, attrName) {
+            const value = self.ids.length === 1 && !isKeyObject ? id : id && id[attrName];
+
+            if (typeof value === "undefined") {
+                throw new Error("Expected value for id attribute " + attrName);
+            }
+
+            where[attrName] = value;
+
+            return where;
+        }, {});
+    },
+
+    /**
+     * Creates an instance from untrusted input such as a request body, taking only the attributes listed in
+     * `opts.permit`, see `assign`.
+     */
+    fromInput: function(body, opts) {
+        const self = this;
+        const obj = new self.modelConstructor();
+
+        return obj.assign(body, opts);
+    },
+
     baseMethods: {
         checkpoint: function() {
             const self = this;
 
             self.values.original = {};
+            takeSnapshots(self);
+        },
+
+        /**
+         * Compares object and array attributes against their copies taken at the last checkpoint, recording the ones
+         * changed in place as changed, emitting change events like assigning them would. Called by `hasChanged`,
+         * `changed` and `original`, so it only needs calling directly to get the events sooner.
+         */
+        detectChanges: function() {
+            const self = this;
+
+            Object.keys(self.values.current).forEach(function(name) {
+                const current = self.values.current[name];
+                const isChanged = self.values.original.hasOwnProperty(name);
+
+                if (!isNested(current)) {
+                    return;
+                } else if (!isChanged && self.values.snapshots.hasOwnProperty(name) &&
+                    !_.isEqual(current, self.values.snapshots[name])) {
+                    self.values.original[name] = self.values.snapshots[name];
+                } else if (isChanged && _.isEqual(current, self.values.original[name])) {
+                    delete self.values.original[name];
+                } else {
+                    return;
+                }
+
+                self.methods.emit("change:all", name, self.values.original[name], current);
+                self.methods.emit("change:" + name, self.values.original[name], current);
+            });
         },
 
         hasChanged: function(name) {
             const self = this;
 
+            self.methods.detectChanges();
+
             return self.values.original.hasOwnProperty(name);
         },
 
@@ -82,6 +252,8 @@ Model.prototype = {
         changed: function(name) {
             const self = this;
 
+            self.methods.detectChanges();
+
             if (typeof name === "string") {
                 if (self.values.original.hasOwnProperty(name)) {
                     return self.values.current[name];
@@ -106,6 +278,8 @@ Model.prototype = {
         original: function(name) {
             const self = this;
 
+            self.methods.detectChanges();
+
             if (typeof name === "string") {
                 return self.values.original[name];
             } else if (_.isArray(name)) {
@@ -121,50 +295,279 @@ Model.prototype = {
             }
         },
 
-        validate: function() {
+        /**
+         * Assigns the attributes of `body` listed in `opts.permit` as changes, ignoring its other keys. Permitting an
+         * unknown or `readonly` attribute throws, as those are never to be mass assigned. Returns the instance.
+         */
+        assign: function(body, opts) {
             const self = this;
-            const failed = [];
 
-            if (self.validations) {
-                Object.keys(self.validations).forEach(function(prop) {
-                    for (let i = 0; i < self.validations[prop].length; i++) {
-                        const validation = self.validations[prop][i];
-                        let fn;
-                        let args = [self.values.current[prop]];
-
-                        if (_.isArray(validation)) {
-                            fn = validation[0];
-                            args = args.concat(validation.slice(1));
-                        } else if (typeof validation === "function") {
-                            fn = validation;
-                        } else {
-                            throw new Error("Expected validation function, got " + validation);
-                        }
-
-                        const res = fn.apply(self, args);
-
-                        if (!res[0]) {
-                            failed.push([prop, res[1]]);
-                        }
-                    }
-                });
+            if (!(opts && _.isArray(opts.permit))) {
+                throw new Error("Expected permit listing the attributes to assign");
+            }
+
+            opts.permit.forEach(function(name) {
+                if (!self.attrs.hasOwnProperty(name) || self.attrs[name].readonly) {
+                    throw new Error("Attribute " + name + " can't be assigned");
+                }
+
+                // bodies may lack a prototype or have a hasOwnProperty key of their own
+                if (body && Object.prototype.hasOwnProperty.call(body, name)) {
+                    self.proxy[name] = body[name];
+                }
+            });
+
+            return self.proxy;
+        },
+
+        /**
+         * The attributes to serialize, leaving out `hidden` ones, and the loaded relations. `opts.view` names one of
+         * the model's `views` instead, listing exactly the attributes and relations to include, hidden or not. Any
+         * other argument, like the key JSON.stringify passes, is ignored.
+         */
+        toJSON: function(opts) {
+            const self = this;
+            const view = _.isObject(opts) && opts.view || null;
+            let names;
 
+            if (view && !self.views.hasOwnProperty(view)) {
+                throw new Error("Unknown view " + view);
+            } else if (view) {
+                names = self.views[view];
+            } else {
+                names = Object.keys(self.attrs).filter(function(name) {
+                    return !self.attrs[name].hidden;
+                }).concat(Object.keys(self.related));
             }
 
+            return names.reduce(function(json, name) {
+                if (self.attrs.hasOwnProperty(name)) {
+                    json[name] = self.values.current[name];
+                } else if (self.related.hasOwnProperty(name)) {
+                    json[name] = relatedJSON(self.related[name]);
+                }
+
+                return json;
+            }, {});
+        },
+
+        /**
+         * Runs the validations untagged or tagged for `context`, throwing a ValidationError with every failure.
+         */
+        validate: function(context) {
+            const self = this;
+            const results = runValidations(self, { conn: null, schema: null, context: context || null });
+            const failed = [];
+
+            results.forEach(function(result) {
+                if (result[1] && typeof result[1].then === "function") {
+                    throw new Error("Validation of " + result[0] + " is asynchronous, use validateAsync");
+                }
+
+                if (!result[1][0]) {
+                    failed.push([result[1][2] || result[0], result[1][1]]);
+                }
+            });
+
             if (failed.length > 0) {
                 throw new validations.ValidationError(failed);
             }
+        },
+
+        /**
+         * Like validate, but validations may return promises and get to use `conn`, and the context is
+         * `opts.context`. Rejects with the ValidationError instead of throwing it.
+         */
+        validateAsync: function(conn, opts) {
+            const self = this;
+            const results = runValidations(self, {
+                conn: conn,
+                schema: opts && opts.schema || null,
+                context: opts && opts.context || null
+            });
+
+            return bluebird.all(results.map(function(result) {
+                return bluebird.resolve(result[1]);
+            })).then(function(resolved) {
+                const failed = [];
+
+                for (let i = 0; i < resolved.length; i++) {
+                    if (!resolved[i][0]) {
+                        failed.push([resolved[i][2] || results[i][0], resolved[i][1]]);
+                    }
+                }
+
+                if (failed.length > 0) {
+                    throw new validations.ValidationError(failed);
+                }
+            });
         }
     }
 };
 
+/**
+ * Whether a value is an array or a plain object, which can be changed in place without assigning the attribute.
+ */
+function isNested(value) {
+    return _.isArray(value) ||
+        _.isObject(value) && [Object.prototype, null].indexOf(Object.getPrototypeOf(value)) !== -1;
+}
+
+function deepCopy(value) {
+    if (_.isArray(value)) {
+        return value.map(deepCopy);
+    } else if (_.isDate(value)) {
+        return new Date(value.getTime());
+    } else if (isNested(value)) {
+        return Object.keys(value).reduce(function(copy, k) {
+            copy[k] = deepCopy(value[k]);
+
+            return copy;
+        }, {});
+    } else {
+        return value;
+    }
+}
+
+/**
+ * Keeps deep copies of the nested attribute values of a model instance for `detectChanges` to compare against.
+ */
+function takeSnapshots(self) {
+    self.values.snapshots = Object.keys(self.values.current).reduce(function(snapshots, name) {
+        if (isNested(self.values.current[name])) {
+            snapshots[name] = deepCopy(self.values.current[name]);
+        }
+
+        return snapshots;
+    }, {});
+}
+
+function relatedJSON(related) {
+    if (_.isArray(related)) {
+        return related.map(relatedJSON);
+    }
+
+    return related && related.toJSON();
+}
+
+function isTagged(validation) {
+    return _.isObject(validation) && !_.isArray(validation) && typeof validation !== "function";
+}
+
+/**
+ * Runs every validation of a model instance, returning [attribute name, result] pairs. A result is either
+ * `[ok, message]` or a promise of one. Validation functions get the attribute value, any extra arguments given with
+ * the validation, and a context holding the attribute name, the validation context and, when validating
+ * asynchronously, the connection and schema to use.
+ *
+ * Validations listed under `$model` get the whole instance instead of a value, for rules spanning several attributes,
+ * and may name the attribute to report a failure for as a third element of their result. Validations given as
+ * `{ validate, on }` only run in the contexts listed in `on`, such as "create" and "update" when saved by a DAO.
+ */
+function runValidations(self, ctx) {
+    const results = [];
+
+    if (self.validations) {
+        Object.keys(self.validations).forEach(function(prop) {
+            const attrCtx = _.extend({ attr: prop === "$model" ? null : prop }, ctx);
+
+            for (let i = 0; i < self.validations[prop].length; i++) {
+                let validation = self.validations[prop][i];
+                let fn;
+                let args = [prop === "$model" ? self.proxy : self.values.current[prop]];
+
+                if (isTagged(validation)) {
+                    if (!ctx.context || [].concat(validation.on).indexOf(ctx.context) === -1) {
+                        continue;
+                    }
+
+                    validation = validation.validate;
+                }
+
+                if (_.isArray(validation)) {
+                    fn = validation[0];
+                    args = args.concat(validation.slice(1));
+                } else if (typeof validation === "function") {
+                    fn = validation;
+                } else {
+                    throw new Error("Expected validation function, got " + validation);
+                }
+
+                results.push([prop, fn.apply(self, args.concat([attrCtx]))]);
+            }
+        });
+    }
+
+    return results;
+}
+
+/**
+ * A relation declared in the `relations` option of `Model.define`, e.g.
+ *
+ *     author: { belongsTo: Author, foreignKey: "authorId" }
+ *     comments: { hasMany: Comment, foreignKey: "postId" }
+ *     tags: { manyToMany: Tag, through: "post_tags", foreignKey: "post_id", otherKey: "tag_id" }
+ *
+ * For belongsTo the foreign key is an attribute of the declaring model, for hasMany it is an attribute of the related
+ * model, and for manyToMany both keys are columns of the through table. The foreign key of a belongsTo or hasMany
+ * relation to a composite key is an array of attributes in the order of the id attributes it refers to, while
+ * manyToMany needs models with single attribute ids. The related model may be given as a function returning it so
+ * that models can refer to each other before both are defined.
+ */
+function Relation(name, opts) {
+    const self = this;
+
+    self.name = name;
+
+    ["belongsTo", "hasMany", "manyToMany"].forEach(function(type) {
+        if (opts.hasOwnProperty(type)) {
+            self.type = type;
+            self.target = opts[type];
+        }
+    });
+
+    if (!self.type) {
+        throw new Error("Expected belongsTo, hasMany or manyToMany for relation " + name);
+    }
+
+    if (!opts.foreignKey) {
+        throw new Error("Expected foreignKey for relation " + name);
+    }
+
+    if (self.type === "manyToMany" && !(opts.through && opts.otherKey)) {
+        throw new Error("Expected through and otherKey for relation " + name);
+    }
+
+    self.foreignKey = opts.foreignKey;
+    self.through = opts.through || null;
+    self.otherKey = opts.otherKey || null;
+}
+
+Relation.prototype = {
+    name: null,
+    type: null,
+    target: null,
+    foreignKey: null,
+    through: null,
+    otherKey: null,
+
+    model: function() {
+        const self = this;
+        const target = self.target.prototype instanceof Model ? self.target : self.target();
+
+        return target.prototype;
+    }
+};
+
 function ModelInstance(attrs, argv) {
     const self = this;
 
     self.values = {
         current: {},
-        original: {}
+        original: {},
+        snapshots: {}
     };
+    self.related = {};
     self.methods = _.extend({}, EventEmitter.prototype);
 
     Object.keys(self.baseMethods).forEach(function(k) {
@@ -186,9 +589,9 @@ function ModelInstance(attrs, argv) {
         let value = null;
 
         if (attrs && attrs.hasOwnProperty(attrName)) {
-            value = attrs[attrName];
+            value = types.convert(attr.type, "coerce", attrs[attrName]);
         } else if (attr.column && attrs && attrs.hasOwnProperty(attr.column)) {
-            value = attrs[attr.column];
+            value = types.convert(attr.type, "coerce", attrs[attr.column]);
         } else if (typeof attr.default === "function") {
             value = attr.default();
         } else if (attr.defaultOfType) {
@@ -200,73 +603,72 @@ function ModelInstance(attrs, argv) {
         self.values.current[attrName] = value;
     });
 
-    /**
-     * Creates a basic Proxy. This is an expansion on the basic no-op forwarding Proxy defined here:
-     *
-     * http://wiki.ecmascript.org/doku.php?id=harmony:proxies#examplea_no-op_forwarding_proxy
-     */
-    self.proxy = Proxy.create({
-        getOwnPropertyDescriptor: function(name) {
-            let desc = Object.getOwnPropertyDescriptor(self.values.current, name);
-
-            if (typeof desc === "undefined") {
-                desc = Object.getOwnPropertyDescriptor(self.methods, name);
-            }
-
-            // a trapping proxy's properties must always be configurable
-            if (typeof desc !== "undefined") {
-                desc.configurable = true;
+    takeSnapshots(self);
+
+    function setValue(name, val) {
+        if (name in self.values.current) {
+            if (!self.values.original.hasOwnProperty(name)) {
+                // a nested value may have been changed in place since the checkpoint
+                self.values.original[name] = self.values.snapshots.hasOwnProperty(name) ?
+                    self.values.snapshots[name] :
+                    self.values.current[name];
+            } else if (val === self.values.original[name]) {
+                delete self.values.original[name];
             }
 
-            return desc;
-        },
+            self.values.current[name] = val;
 
-        getPropertyDescriptor: function(name) {
-            let desc = Object.getPropertyDescriptor(self.values.current, name); // not in ES5
+            self.methods.emit("change:all", name, self.values.original[name], val);
+            self.methods.emit("change:" + name, self.values.original[name], val);
+        }
+    }
 
-            if (typeof desc === "undefined") {
-                desc = Object.getPropertyDescriptor(self.methods, name);
-            }
+    function ownDescriptor(name) {
+        if (self.values.current.hasOwnProperty(name)) {
+            return { value: self.values.current[name], writable: true, enumerable: true, configurable: true };
+        }
 
-            // a trapping proxy's properties must always be configurable
-            if (typeof desc !== "undefined") {
-                desc.configurable = true;
-            }
+        const owner = self.related.hasOwnProperty(name) ? self.related :
+            self.methods.hasOwnProperty(name) ? self.methods : null;
 
-            return desc;
-        },
+        // only attributes are enumerable, so that Object.keys, for...in and JSON.stringify see just them. A
+        // trapping proxy's properties must always be configurable as they don't exist on its target.
+        return owner ? { value: owner[name], writable: true, enumerable: false, configurable: true } : undefined;
+    }
 
-        getOwnPropertyNames: function() {
-            return Object.getOwnPropertyNames(self.values.current)
-                .concat(Object.getOwnPropertyNames(self.methods));
+    /**
+     * The instance is a Proxy over an empty target, reading and writing attributes from `values` and falling back to
+     * the related models and methods. It has no prototype, the model constructor recognizes its instances by
+     * `__model__` instead.
+     */
+    self.proxy = new Proxy(Object.create(null), {
+        getOwnPropertyDescriptor: function(target, name) {
+            return ownDescriptor(name);
         },
 
-        getPropertyNames: function() {
-            return Object.getPropertyNames(self.values.current)
-                .concat(Object.getPropertyNames(self.methods)); // not in ES5
+        ownKeys: function() {
+            return _.uniq(Object.keys(self.values.current)
+                .concat(Object.keys(self.related))
+                .concat(Object.getOwnPropertyNames(self.methods)));
         },
 
-        defineProperty: function(name, desc) {
-
+        defineProperty: function() {
+            return false;
         },
 
-        "delete": function(name) {
+        deleteProperty: function() {
             return true;
         },
 
-        fix: function() {
+        preventExtensions: function() {
+            return false;
         },
 
-        has: function(name) {
-            return name in self.values.current || name in self.methods;
+        has: function(target, name) {
+            return name in self.values.current || name in self.related || name in self.methods;
         },
 
-        hasOwn: function(name) {
-            return self.values.current.hasOwnProperty(name) ||
-                self.methods.hasOwnProperty(name);
-        },
-
-        get: function(receiver, name) {
+        get: function(target, name) {
             if (name === "__model__") {
                 return Object.getPrototypeOf(self);
             }
@@ -275,50 +677,49 @@ function ModelInstance(attrs, argv) {
                 return self;
             }
 
+            if (name === "id" && self.ids.length > 1) {
+                return self.ids.reduce(function(id, attrName) {
+                    id[attrName] = self.values.current[attrName];
+
+                    return id;
+                }, {});
+            }
+
             if (name === "id" && self.id) {
                 name = self.id;
             }
 
             if (name in self.values.current) {
                 return self.values.current[name];
+            } else if (name in self.related) {
+                return self.related[name];
             } else if (name in self.methods) {
                 return self.methods[name];
             }
         },
 
-        set: function(receiver, name, val) {
-            if (name === "id" && self.id) {
-                name = self.id;
-            }
-
-            if (name in self.values.current) {
-                if (!self.values.original.hasOwnProperty(name)) {
-                    self.values.original[name] = self.values.current[name];
-                } else if (val === self.values.original[name]) {
-                    delete self.values.original[name];
-                }
-
-                self.values.current[name] = val;
+        set: function(target, name, val) {
+            if (name === "id" && self.ids.length > 1) {
+                self.ids.forEach(function(attrName) {
+                    if (val && val.hasOwnProperty(attrName)) {
+                        setValue(attrName, val[attrName]);
+                    }
+                });
 
-                self.methods.emit("change:all", name, self.values.original[name], val);
-                self.methods.emit("change:" + name, self.values.original[name], val);
+                return true;
             }
 
-            return true; // bad behavior when set fails in non-strict mode
-        },
-
-        enumerate: function() {
-            var result = [];
+            if (name === "id" && self.id) {
+                name = self.id;
+            }
 
-            for (var name in self.values.current) {
-                result.push(name);
+            if (self.attrs.hasOwnProperty(name)) {
+                val = types.convert(self.attrs[name].type, "coerce", val);
             }
 
-            return result;
-        },
+            setValue(name, val);
 
-        keys: function() {
-            return Object.keys(self.values.current);
+            return true; // bad behavior when set fails in non-strict mode
         }
     });
 }
@@ -333,12 +734,8 @@ function define(attrs, opts) {
     return m.modelConstructor;
 }
 
-const Types = {
-    Serial: {},
-    UUID: {}
-};
-
 module.exports = {
     define: define,
-    Types: Types
+    Types: types.Types,
+    registerType: types.register
 };
@@ -0,0 +1,177 @@
+"use strict";
+
+const bluebird = require("bluebird");
+const errors = require("./errors");
+
+const ISOLATION_LEVELS = ["serializable", "repeatable read", "read committed", "read uncommitted"];
+
+// the innermost open transaction of each connection, so transactions started on the bare connection nest as well
+const open = new WeakMap();
+
+/**
+ * A transaction on a connection, handed to the callback of `DAO.inTransaction`. It queries like the connection, so it
+ * can be passed to DAO methods in its place. Transactions started on it, or on its connection while it is open, run in
+ * a savepoint of it, unless it is `exclusive`, which refuses those started on the connection.
+ */
+function Transaction(conn, parent) {
+    const self = this;
+
+    self.conn = conn;
+    self.parent = parent || null;
+    self.depth = parent ? parent.depth + 1 : 0;
+    self.savepoint = parent ? "excalipur_" + self.depth : null;
+    self.finished = false;
+    self.exclusive = false;
+}
+
+/**
+ * Builds the statement starting a top level transaction from `opts.isolationLevel`, `opts.readOnly` and
+ * `opts.deferrable`.
+ */
+Transaction.begin = function(opts) {
+    const modes = [];
+
+    if (opts && opts.isolationLevel) {
+        const level = opts.isolationLevel.toLowerCase();
+
+        if (ISOLATION_LEVELS.indexOf(level) === -1) {
+            throw new Error("Unknown isolation level " + opts.isolationLevel);
+        }
+
+        modes.push("ISOLATION LEVEL " + level.toUpperCase());
+    }
+
+    if (opts && opts.readOnly) {
+        modes.push("READ ONLY");
+    }
+
+    if (opts && opts.deferrable) {
+        modes.push("DEFERRABLE");
+    }
+
+    return "BEGIN" + (modes.length > 0 ? " " + modes.join(" ") : "") + ";";
+};
+
+/**
+ * Runs `fn(tx)` in a transaction on `conn`, which may be a connection or a Transaction, committing when the promise
+ * it returns resolves and rolling back when it rejects, or always with `opts.rollback`. Inside another transaction it
+ * runs in a savepoint instead, so only its own work is rolled back; the isolation level, read only and deferrable
+ * options can only be given to the top level transaction. When rolling back fails too, the original error is thrown
+ * with the failure of the rollback as its `rollbackError`.
+ */
+Transaction.run = bluebird.coroutine(function*(conn, fn, opts) {
+    const parent = conn instanceof Transaction ? conn : open.get(conn) || null;
+    const tx = new Transaction(parent ? parent.conn : conn, parent);
+
+    if (parent && parent.finished) {
+        throw new Error("Transaction is finished");
+    }
+
+    if (parent && parent.exclusive && parent !== conn) {
+        throw new Error("Connection is in use by a transaction that can't be joined");
+    }
+
+    if (parent && opts && (opts.isolationLevel || opts.readOnly || opts.deferrable)) {
+        throw new Error("Nested transactions can't set isolationLevel, readOnly or deferrable");
+    }
+
+    yield tx.conn.queryAsync(parent ? "SAVEPOINT " + tx.savepoint + ";" : Transaction.begin(opts));
+    open.set(tx.conn, tx);
+
+    try {
+        const res = yield bluebird.resolve(fn(tx));
+
+        if (opts && opts.rollback) {
+            yield tx.rollback();
+        } else {
+            yield tx.commit();
+        }
+
+        return res;
+    } catch (ex) {
+        // serializable transactions may only fail once they commit
+        const err = errors.fromPg(ex);
+
+        try {
+            // apparently jshint can't tell it's in a generator here...
+            yield tx.rollback(); // jshint ignore:line
+        } catch (rollbackError) {
+            // what went wrong in the first place matters more, the connection is likely broken anyway
+            if (err instanceof Error) {
+                err.rollbackError = rollbackError;
+            }
+        }
+
+        throw err;
+    } finally {
+        tx.finished = true;
+
+        if (parent) {
+            open.set(tx.conn, parent);
+        } else {
+            open.delete(tx.conn);
+        }
+    }
+});
+
+/**
+ * Returns the innermost transaction open on `conn`, or null.
+ */
+Transaction.current = function(conn) {
+    return open.get(conn) || null;
+};
+
+Transaction.prototype = {
+    conn: null,
+    parent: null,
+    depth: null,
+    savepoint: null,
+    finished: null,
+    exclusive: null,
+
+    queryAsync: function() {
+        const self = this;
+
+        if (self.finished) {
+            return bluebird.reject(new Error("Transaction is finished"));
+        }
+
+        return self.conn.queryAsync.apply(self.conn, arguments);
+    },
+
+    query: function() {
+        const self = this;
+
+        if (self.finished) {
+            throw new Error("Transaction is finished");
+        }
+
+        return self.conn.query.apply(self.conn, arguments);
+    },
+
+    inTransaction: function(fn, opts) {
+        const self = this;
+
+        return Transaction.run(self, fn, opts);
+    },
+
+    commit: function() {
+        const self = this;
+
+        return self.conn.queryAsync(self.savepoint ? "RELEASE SAVEPOINT " + self.savepoint + ";" : "COMMIT;");
+    },
+
+    rollback: function() {
+        const self = this;
+
+        if (!self.savepoint) {
+            return self.conn.queryAsync("ROLLBACK;");
+        }
+
+        return self.conn.queryAsync("ROLLBACK TO SAVEPOINT " + self.savepoint + ";").then(function() {
+            return self.conn.queryAsync("RELEASE SAVEPOINT " + self.savepoint + ";");
+        });
+    }
+};
+
+module.exports = Transaction;
@@ -0,0 +1,173 @@
+"use strict";
+
+const MAX_SAFE_INTEGER = 9007199254740991;
+const DOUBLE_DIGITS = 15;
+
+function identity(value) {
+    return value;
+}
+
+/**
+ * An attribute type. `fromDb` converts values as the driver returns them, `toDb` converts values before they are bound
+ * as query parameters and `coerce` converts values assigned to model attributes. None of them is passed null or
+ * undefined. Conversions leave values they can't make sense of alone so validations can report them. `sql` is the
+ * column type used when generating DDL.
+ */
+function Type(name, conversions) {
+    const self = this;
+
+    self.name = name;
+    self.sql = conversions && conversions.sql || null;
+    self.coerce = conversions && conversions.coerce || identity;
+    self.fromDb = conversions && conversions.fromDb || self.coerce;
+    self.toDb = conversions && conversions.toDb || identity;
+}
+
+Type.prototype = {
+    name: null,
+    sql: null,
+    coerce: null,
+    fromDb: null,
+    toDb: null
+};
+
+const toInteger = function(value) {
+    if (typeof value === "string" && /^\s*-?\d+\s*$/.test(value)) {
+        return parseInt(value, 10);
+    }
+
+    return value;
+};
+
+// bigints outside the range doubles represent exactly stay strings
+const toBigInt = function(value) {
+    const n = toInteger(value);
+
+    return typeof n === "number" && Math.abs(n) > MAX_SAFE_INTEGER ? value : n;
+};
+
+// decimals with more significant digits than doubles hold exactly stay strings, like bigints
+const toDecimal = function(value) {
+    if (typeof value === "string" && value.trim() !== "" && !isNaN(value)) {
+        const digits = value.trim().replace(/^[-+]/, "").replace(/e.*$/i, "").replace(".", "")
+            .replace(/^0+/, "").replace(/0+$/, "");
+
+        return digits.length > DOUBLE_DIGITS ? value : parseFloat(value);
+    }
+
+    return value;
+};
+
+const toDouble = function(value) {
+    if (typeof value === "string" && value.trim() !== "" && !isNaN(value)) {
+        return parseFloat(value);
+    }
+
+    return value;
+};
+
+const toTimestamp = function(value) {
+    if (typeof value === "string" || typeof value === "number") {
+        const date = new Date(value);
+
+        return isNaN(date.getTime()) ? value : date;
+    }
+
+    return value;
+};
+
+const pad = function(n) {
+    return n < 10 ? "0" + n : "" + n;
+};
+
+// dates are read from postgres as local midnight, so the local date is the one stored
+const toDateOnly = function(value) {
+    if (value instanceof Date) {
+        return value.getFullYear() + "-" + pad(value.getMonth() + 1) + "-" + pad(value.getDate());
+    }
+
+    return value;
+};
+
+// the driver parses json columns itself but hands jsonb ones over as text
+const fromJSONB = function(value) {
+    if (typeof value === "string") {
+        try {
+            return JSON.parse(value);
+        } catch (ex) {
+            return value;
+        }
+    }
+
+    return value;
+};
+
+// without stringifying, the driver would send arrays as postgres arrays
+const toJSON = function(value) {
+    return JSON.stringify(value);
+};
+
+const Types = {
+    Serial: new Type("Serial", { sql: "serial", coerce: toInteger }),
+    UUID: new Type("UUID", {
+        sql: "uuid",
+        coerce: function(value) {
+            return typeof value === "string" ? value.toLowerCase() : value;
+        }
+    }),
+    Integer: new Type("Integer", { sql: "integer", coerce: toInteger }),
+    BigInt: new Type("BigInt", { sql: "bigint", coerce: toBigInt }),
+    Decimal: new Type("Decimal", { sql: "numeric", coerce: toDecimal }),
+    Double: new Type("Double", { sql: "double precision", coerce: toDouble }),
+    JSON: new Type("JSON", { sql: "json", fromDb: identity, toDb: toJSON }),
+    JSONB: new Type("JSONB", { sql: "jsonb", fromDb: fromJSONB, toDb: toJSON }),
+    DateOnly: new Type("DateOnly", { sql: "date", coerce: toDateOnly }),
+    Timestamp: new Type("Timestamp", { sql: "timestamp with time zone", coerce: toTimestamp })
+};
+
+/**
+ * Registers a custom type under `Types[name]`, e.g.
+ *
+ *     register("Money", { sql: "bigint", fromDb: parseCents, toDb: formatCents })
+ */
+function register(name, conversions) {
+    if (Types.hasOwnProperty(name)) {
+        throw new Error("Type " + name + " is already registered");
+    }
+
+    Types[name] = new Type(name, conversions);
+
+    return Types[name];
+}
+
+/**
+ * Looks up the Type of an attr's `type`. Date attrs convert like timestamps, other plain constructors aren't
+ * converted.
+ */
+function typeOf(type) {
+    if (type instanceof Type) {
+        return type;
+    } else if (type === Date) {
+        return Types.Timestamp;
+    } else {
+        return null;
+    }
+}
+
+function convert(type, conversion, value) {
+    const t = typeOf(type);
+
+    if (t === null || value === null || typeof value === "undefined") {
+        return value;
+    }
+
+    return t[conversion](value);
+}
+
+module.exports = {
+    Type: Type,
+    Types: Types,
+    register: register,
+    typeOf: typeOf,
+    convert: convert
+};
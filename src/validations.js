@@ -1,14 +1,13 @@
 "use strict";
 
-function ValidationError(failed) {
-    const self = this;
-
-    self.failed = failed;
-}
+const _ = require("underscore");
+const bluebird = require("bluebird");
+const DAO = require("./dao");
+const errors = require("./errors");
 
-ValidationError.prototype = {
-    failed: null
-};
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const URL_PATTERN = /^https?:\/\/[^\s\/?#]+(?:[\/?#]\S*)?$/i;
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
 
 const isString = function(value) {
     if (typeof value !== "string") {
@@ -58,12 +57,249 @@ const isInRange = function(value, min, max) {
     }
 };
 
+const isInteger = function(value) {
+    if (typeof value !== "number" || value % 1 !== 0) {
+        return [false, "expected integer"];
+    } else {
+        return [true];
+    }
+};
+
+/**
+ * Checks the length of a string or an array, e.g. `[hasLength, 1, 50]`. `max` may be left out.
+ */
+const hasLength = function(value, min, max) {
+    if (typeof value !== "string" && !_.isArray(value)) {
+        return [false, "expected string or array"];
+    } else if (value.length < min) {
+        return [false, "expected length >= " + min];
+    } else if (typeof max === "number" && value.length > max) {
+        return [false, "expected length <= " + max];
+    } else {
+        return [true];
+    }
+};
+
+const matches = function(value, regex) {
+    if (typeof value !== "string" || !regex.test(value)) {
+        return [false, "expected to match " + regex];
+    } else {
+        return [true];
+    }
+};
+
+const isEmail = function(value) {
+    return typeof value === "string" && EMAIL_PATTERN.test(value) ? [true] : [false, "expected email"];
+};
+
+const isURL = function(value) {
+    return typeof value === "string" && URL_PATTERN.test(value) ? [true] : [false, "expected URL"];
+};
+
+const isUUID = function(value) {
+    return typeof value === "string" && UUID_PATTERN.test(value) ? [true] : [false, "expected UUID"];
+};
+
+const isIn = function(value, allowed) {
+    if (allowed.indexOf(value) === -1) {
+        return [false, "expected one of " + allowed.join(", ")];
+    } else {
+        return [true];
+    }
+};
+
+/**
+ * Runs a validation given like in a model's `validations`, either a function or an array of one and its extra
+ * arguments, on `value`.
+ */
+function check(self, validation, value, ctx) {
+    if (_.isArray(validation)) {
+        return validation[0].apply(self, [value].concat(validation.slice(1), [ctx]));
+    } else if (typeof validation === "function") {
+        return validation.call(self, value, ctx);
+    } else {
+        throw new Error("Expected validation function, got " + validation);
+    }
+}
+
+/**
+ * Combines the results of validating parts of a value, labelled by `labels`, into the first failure, waiting for
+ * them first if any of them is a promise.
+ */
+function firstFailure(labels, results) {
+    const combine = function(resolved) {
+        for (let i = 0; i < resolved.length; i++) {
+            if (!resolved[i][0]) {
+                return [false, labels[i] + ": " + resolved[i][1]];
+            }
+        }
+
+        return [true];
+    };
+    const async = results.some(function(result) {
+        return result && typeof result.then === "function";
+    });
+
+    return async ? bluebird.all(results).then(combine) : combine(results);
+}
+
+/**
+ * Creates a validation letting null and undefined through and running `validation` on anything else.
+ */
+const optional = function(validation) {
+    return function(value, ctx) {
+        if (value === null || typeof value === "undefined") {
+            return [true];
+        }
+
+        return check(this, validation, value, ctx);
+    };
+};
+
+/**
+ * Creates a validation checking the value is an array whose every element passes all the `validations`, e.g.
+ * `arrayOf(isString, [hasLength, 1])`.
+ */
+const arrayOf = function() {
+    const elementValidations = _.toArray(arguments);
+
+    return function(value, ctx) {
+        const self = this;
+        const labels = [];
+        const results = [];
+
+        if (!_.isArray(value)) {
+            return [false, "expected array"];
+        }
+
+        value.forEach(function(element, i) {
+            elementValidations.forEach(function(validation) {
+                labels.push("[" + i + "]");
+                results.push(check(self, validation, element, ctx));
+            });
+        });
+
+        return firstFailure(labels, results);
+    };
+};
+
+/**
+ * Creates a validation checking the value is an object whose properties pass the validations of `shape`, which maps
+ * property names to arrays of validations like a model's `validations`, e.g. `shape({ city: [isNotNull, isString] })`.
+ */
+const shape = function(propValidations) {
+    return function(value, ctx) {
+        const self = this;
+        const labels = [];
+        const results = [];
+
+        if (!_.isObject(value) || _.isArray(value)) {
+            return [false, "expected object"];
+        }
+
+        Object.keys(propValidations).forEach(function(prop) {
+            propValidations[prop].forEach(function(validation) {
+                labels.push(prop);
+                results.push(check(self, validation, typeof value[prop] === "undefined" ? null : value[prop], ctx));
+            });
+        });
+
+        return firstFailure(labels, results);
+    };
+};
+
+/**
+ * Compiles the declarative rules of an attr into validations: `required` makes it not null, `minLength`,
+ * `maxLength` and `enum` check values that aren't null.
+ */
+function attrRules(attr) {
+    const rules = [];
+
+    if (attr.required) {
+        rules.push(isNotNull);
+    }
+
+    if (attr.hasOwnProperty("minLength") || attr.hasOwnProperty("maxLength")) {
+        rules.push(optional([hasLength, attr.minLength || 0, attr.maxLength]));
+    }
+
+    if (attr.hasOwnProperty("enum")) {
+        rules.push(optional([isIn, attr.enum]));
+    }
+
+    return rules;
+}
+
+/**
+ * Checks no other row has the same value for the attribute. Needs validateAsync.
+ */
+const isUnique = function(value, ctx) {
+    const self = this;
+    const model = Object.getPrototypeOf(self);
+
+    if (!ctx || !ctx.conn) {
+        throw new Error("isUnique needs a connection, use validateAsync");
+    }
+
+    if (value === null) {
+        return [true];
+    }
+
+    const where = {};
+
+    where[ctx.attr] = value;
+
+    const saved = model.ids.length > 0 && model.ids.every(function(attrName) {
+        return typeof self.values.current[attrName] !== "undefined" && self.values.current[attrName] !== null;
+    });
+
+    if (saved) {
+        where.$not = model.idCriteria(self.proxy.id);
+    }
+
+    return new DAO(model, ctx.schema).findOne(ctx.conn, where).then(function(other) {
+        return other ? [false, "expected unique"] : [true];
+    });
+};
+
+/**
+ * Creates a validation checking that the value is the id of an existing `OtherModel`. Needs validateAsync.
+ */
+const exists = function(OtherModel) {
+    return function(value, ctx) {
+        if (!ctx || !ctx.conn) {
+            throw new Error("exists needs a connection, use validateAsync");
+        }
+
+        if (value === null) {
+            return [true];
+        }
+
+        return new DAO(OtherModel.prototype, ctx.schema).get(ctx.conn, value).then(function(other) {
+            return other ? [true] : [false, "expected existing " + (OtherModel.prototype.table || "model")];
+        });
+    };
+};
+
 module.exports = {
-    ValidationError: ValidationError,
+    ValidationError: errors.ValidationError,
     isString: isString,
     isNumber: isNumber,
     isBoolean: isBoolean,
     isDate: isDate,
     isNotNull: isNotNull,
-    isInRange: isInRange
+    isInRange: isInRange,
+    isInteger: isInteger,
+    hasLength: hasLength,
+    matches: matches,
+    isEmail: isEmail,
+    isURL: isURL,
+    isUUID: isUUID,
+    isIn: isIn,
+    optional: optional,
+    arrayOf: arrayOf,
+    shape: shape,
+    attrRules: attrRules,
+    isUnique: isUnique,
+    exists: exists
 };
@@ -0,0 +1,118 @@
+"use strict";
+
+const bluebird = require("bluebird");
+const EventEmitter = require("events").EventEmitter;
+
+/**
+ * Answers a query on a later tick, like postgres would. `answer` is either the rows to answer every query with or a
+ * function of the SQL and values returning the rows, or a promise of them, and throwing to fail the query.
+ */
+function respond(answer, sql, values) {
+    return new bluebird(function(resolve, reject) {
+        setImmediate(function() {
+            try {
+                resolve(typeof answer === "function" ? answer(sql, values) : answer);
+            } catch (ex) {
+                reject(ex);
+            }
+        });
+    }).then(function(rows) {
+        rows = rows || [];
+
+        return { rows: rows, rowCount: rows.length };
+    });
+}
+
+/**
+ * A connection recording its queries as `[sql, values]` pairs in `queries`, or in the array given to share it, with
+ * both the promisified `queryAsync` and the `query` of a pg client, which reports to a callback or emits events.
+ */
+function fakeConn(answer, queries) {
+    const conn = {
+        queries: queries || [],
+
+        statements: function() {
+            return conn.queries.map(function(query) {
+                return query[0];
+            });
+        },
+
+        queryAsync: function(sql, values) {
+            conn.queries.push([sql, values || []]);
+
+            return respond(answer, sql, values);
+        },
+
+        query: function(sql, values) {
+            const query = new EventEmitter();
+            const callback = arguments[arguments.length - 1];
+
+            conn.queryAsync(sql, typeof values === "function" ? undefined : values).then(function(res) {
+                if (typeof callback === "function") {
+                    return callback(null, res);
+                }
+
+                res.rows.forEach(function(row) {
+                    query.emit("row", row);
+                });
+                query.emit("end", res);
+            }, function(ex) {
+                if (typeof callback === "function") {
+                    return callback(ex);
+                }
+
+                query.emit("error", ex);
+            });
+
+            return query;
+        }
+    };
+
+    return conn;
+}
+
+/**
+ * A pg pool handing out clients answering like `fakeConn`, which emit events like pg clients and are kept in
+ * `clients`, counting the clients checked out, released, and released with an error, which pg would discard. Queries
+ * of all clients go into `queries`.
+ */
+function fakePool(answer) {
+    const pool = {
+        checkedOut: 0,
+        released: 0,
+        discarded: 0,
+        clients: [],
+        queries: [],
+
+        statements: function() {
+            return pool.queries.map(function(query) {
+                return query[0];
+            });
+        },
+
+        connect: function(callback) {
+            const conn = fakeConn(answer, pool.queries);
+            const client = new EventEmitter();
+
+            client.query = conn.query;
+            pool.clients.push(client);
+            pool.checkedOut++;
+            setImmediate(function() {
+                callback(null, client, function(err) {
+                    pool.released++;
+
+                    if (err) {
+                        pool.discarded++;
+                    }
+                });
+            });
+        }
+    };
+
+    return pool;
+}
+
+module.exports = {
+    fakeConn: fakeConn,
+    fakePool: fakePool
+};
@@ -0,0 +1,7 @@
+"use strict";
+
+module.exports = {
+    up: function(conn) {
+        return conn.queryAsync("CREATE INDEX things_name_idx ON things (name);");
+    }
+};
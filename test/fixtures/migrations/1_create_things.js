@@ -0,0 +1,11 @@
+"use strict";
+
+module.exports = {
+    up: function(conn) {
+        return conn.queryAsync("CREATE TABLE things (id serial PRIMARY KEY);");
+    },
+
+    down: function(conn) {
+        return conn.queryAsync("DROP TABLE things;");
+    }
+};
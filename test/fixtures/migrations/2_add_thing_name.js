@@ -0,0 +1,11 @@
+"use strict";
+
+module.exports = {
+    up: function(conn) {
+        return conn.queryAsync("ALTER TABLE things ADD COLUMN name text;");
+    },
+
+    down: function(conn) {
+        return conn.queryAsync("ALTER TABLE things DROP COLUMN name;");
+    }
+};
@@ -0,0 +1,103 @@
+"use strict";
+
+const assert = require("assert");
+const bluebird = require("bluebird");
+const DAO = require("../src/dao");
+const Model = require("../src/model");
+const fakeConn = require("./fakes").fakeConn;
+
+describe("aggregates", function() {
+
+    const Order = Model.define({
+        id: { type: Model.Types.Serial, id: true },
+        status: { type: String },
+        amount: { type: Model.Types.Decimal },
+        placedAt: { type: Date, column: "placed_at" },
+        deletedAt: { type: Date, column: "deleted_at" }
+    }, {
+        table: "orders",
+        softDelete: "deletedAt"
+    });
+    const dao = new DAO(Order.prototype, "test");
+
+    it("counts the models matching criteria", function(done) {
+        const conn = fakeConn([{ value: "42" }]);
+
+        dao.count(conn, { where: { status: "open" } }).then(function(count) {
+            assert.strictEqual(count, 42, "should parse the bigint count");
+            assert.deepEqual(conn.queries[0], [
+                "SELECT count(*) AS \"value\" FROM test.orders WHERE ((status = $1) AND (deleted_at IS NULL))",
+                ["open"]
+            ]);
+        }).then(done, done);
+    });
+
+    it("sums, averages and finds extremes", function(done) {
+        const conn = fakeConn([{ value: "12.50" }]);
+
+        bluebird.all([
+            dao.sum(conn, "amount", { where: { status: "open" } }),
+            dao.avg(conn, "amount", { withDeleted: true }),
+            dao.max(conn, "placedAt")
+        ]).then(function(res) {
+            assert.strictEqual(res[0], 12.5);
+            assert.strictEqual(res[1], 12.5);
+            assert.strictEqual(conn.queries[1][0], "SELECT avg(amount) AS \"value\" FROM test.orders");
+            assert.strictEqual(conn.queries[2][0],
+                "SELECT max(placed_at) AS \"value\" FROM test.orders WHERE deleted_at IS NULL");
+
+            return dao.sum(conn, "nope");
+        }).then(function() {
+            throw new Error("should have failed");
+        }, function(ex) {
+            assert.strictEqual(ex.message, "Unknown attribute nope");
+        }).then(done, done);
+    });
+
+    it("resolves sums and averages to numbers, however many digits they have", function(done) {
+        const conn = fakeConn(function(sql) {
+            return [{ value: /avg/.test(sql) ? "2.3333333333333333" : "123456789012345678.25" }];
+        });
+
+        bluebird.all([
+            dao.avg(conn, "amount"),
+            dao.sum(conn, "amount")
+        ]).then(function(res) {
+            assert.strictEqual(res[0], 7 / 3);
+            assert.strictEqual(res[1], 123456789012345678.25);
+
+            return dao.avg(fakeConn([{ value: "1.5000000000000000" }]), "amount");
+        }).then(function(avg) {
+            assert.strictEqual(avg, 1.5);
+        }).then(done, done);
+    });
+
+    it("groups with having and order", function(done) {
+        const conn = fakeConn([{ status: "open", n: "3", total: "30.5" }]);
+
+        dao.aggregate(conn, {
+            where: { amount: { $gt: 0 } },
+            groupBy: "status",
+            aggregates: { n: { $count: true }, total: { $sum: "amount" } },
+            having: { n: { $gte: 2 } },
+            orderBy: "-total",
+            limit: 10
+        }).then(function(rows) {
+            assert.deepEqual(rows, [{ status: "open", n: 3, total: 30.5 }]);
+            assert.deepEqual(conn.queries[0], [
+                "SELECT status AS \"status\", count(*) AS \"n\", sum(amount) AS \"total\" FROM test.orders " +
+                    "WHERE ((amount > $1) AND (deleted_at IS NULL)) GROUP BY status HAVING count(*) >= $2 " +
+                    "ORDER BY sum(amount) DESC LIMIT 10",
+                [0, 2]
+            ]);
+        }).then(done, done);
+    });
+
+    it("rejects unknown aggregates", function(done) {
+        dao.aggregate(fakeConn([]), { aggregates: { n: { $median: "amount" } } }).then(function() {
+            throw new Error("should have failed");
+        }, function(ex) {
+            assert.ok(/Expected one of/.test(ex.message), ex.message);
+        }).then(done, done);
+    });
+});
@@ -0,0 +1,66 @@
+"use strict";
+
+const assert = require("assert");
+const bluebird = require("bluebird");
+const DAO = require("../src/dao");
+const Model = require("../src/model");
+const fakeConn = require("./fakes").fakeConn;
+
+describe("set-based writes", function() {
+
+    const TestType = Model.define({
+        id: { type: Model.Types.Serial, id: true },
+        name: { type: String },
+        rating: { type: Number }
+    }, {
+        table: "test_types"
+    });
+    const dao = new DAO(TestType.prototype, "test");
+
+    it("updates and deletes the rows matching criteria", function(done) {
+        const conn = fakeConn([{ id: 1, name: "a", rating: 5 }]);
+
+        dao.updateWhere(conn, { name: "a" }, { rating: 5 }, { returning: true }).then(function(res) {
+            assert.strictEqual(res.count, 1);
+            assert.strictEqual(res.objs[0].rating, 5);
+            assert.deepEqual(conn.queries[0], ["UPDATE test.test_types SET rating = $1 WHERE (name = $2) RETURNING *",
+                [5, "a"]]);
+
+            return dao.destroyWhere(conn, { rating: { $lt: 3 } });
+        }).then(function(res) {
+            assert.strictEqual(res.objs, null);
+            assert.deepEqual(conn.queries[1], ["DELETE FROM test.test_types WHERE (rating < $1)", [3]]);
+        }).then(done, done);
+    });
+
+    it("refuses criteria matching every row unless told to write them all", function(done) {
+        const conn = fakeConn([]);
+        const refused = [
+            dao.updateWhere(conn, null, { rating: 1 }),
+            dao.updateWhere(conn, {}, { rating: 1 }),
+            dao.updateWhere(conn, { $and: [] }, { rating: 1 }),
+            dao.destroyWhere(conn, undefined),
+            dao.destroyWhere(conn, {})
+        ];
+
+        bluebird.all(refused.map(function(p) {
+            return p.then(function() {
+                throw new Error("should have failed");
+            }, function(ex) {
+                assert.strictEqual(ex.message, "Expected criteria, set opts.all to write every row");
+            });
+        })).then(function() {
+            assert.strictEqual(conn.queries.length, 0);
+
+            return bluebird.all([
+                dao.updateWhere(conn, null, { rating: 1 }, { all: true }),
+                dao.destroyWhere(conn, {}, { all: true })
+            ]);
+        }).then(function() {
+            assert.deepEqual(conn.statements(), [
+                "UPDATE test.test_types SET rating = $1",
+                "DELETE FROM test.test_types"
+            ]);
+        }).then(done, done);
+    });
+});
@@ -0,0 +1,79 @@
+"use strict";
+
+const assert = require("assert");
+const Model = require("../src/model");
+const Criteria = require("../src/criteria");
+
+describe("criteria", function() {
+
+    const TestA = Model.define({
+        id: { type: Model.Types.Serial, id: true },
+        name: { type: String },
+        rating: { type: Number, column: "rating_value" }
+    });
+
+    it("translates equality on attributes to columns", function() {
+        const criteria = new Criteria(TestA.prototype);
+        const sql = criteria.build({ name: "foo", rating: 5 });
+
+        assert.strictEqual(sql, "name = $1 AND rating_value = $2");
+        assert.deepEqual(criteria.values, ["foo", 5]);
+    });
+
+    it("translates null to IS NULL", function() {
+        const criteria = new Criteria(TestA.prototype);
+
+        assert.strictEqual(criteria.build({ name: null, rating: { $null: false } }),
+            "name IS NULL AND rating_value IS NOT NULL");
+        assert.strictEqual(criteria.values.length, 0);
+    });
+
+    it("translates comparison operators", function() {
+        const criteria = new Criteria(TestA.prototype);
+        const sql = criteria.build({ rating: { $gt: 1, $lte: 4 }, name: { $like: "f%" } });
+
+        assert.strictEqual(sql, "rating_value > $1 AND rating_value <= $2 AND name LIKE $3");
+        assert.deepEqual(criteria.values, [1, 4, "f%"]);
+    });
+
+    it("binds each $in value as a placeholder", function() {
+        const criteria = new Criteria(TestA.prototype);
+
+        assert.strictEqual(criteria.build({ id: { $in: [1, 2, 3] } }), "id IN ($1, $2, $3)");
+        assert.deepEqual(criteria.values, [1, 2, 3]);
+        assert.strictEqual(new Criteria(TestA.prototype).build({ id: { $in: [] } }), "FALSE");
+    });
+
+    it("groups $and and $or", function() {
+        const criteria = new Criteria(TestA.prototype);
+        const sql = criteria.build({
+            name: "foo",
+            $or: [{ rating: { $lt: 2 } }, { $and: [{ rating: { $gt: 8 } }, { id: 4 }] }]
+        });
+
+        assert.strictEqual(sql, "name = $1 AND ((rating_value < $2) OR (((rating_value > $3) AND (id = $4))))");
+        assert.deepEqual(criteria.values, ["foo", 2, 8, 4]);
+    });
+
+    it("continues numbering from existing values", function() {
+        const criteria = new Criteria(TestA.prototype, ["existing"]);
+
+        assert.strictEqual(criteria.build({ name: "foo" }), "name = $2");
+    });
+
+    it("throws on unknown attributes and operators", function() {
+        assert.throws(function() {
+            new Criteria(TestA.prototype).build({ nope: 1 });
+        });
+        assert.throws(function() {
+            new Criteria(TestA.prototype).build({ name: { $nope: 1 } });
+        });
+    });
+
+    it("translates orderBy", function() {
+        const criteria = new Criteria(TestA.prototype);
+
+        assert.deepEqual(criteria.order(["-rating", "name"]), [["rating_value", false], ["name", true]]);
+        assert.deepEqual(criteria.order("id"), [["id", true]]);
+    });
+});
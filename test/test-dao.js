@@ -7,6 +7,7 @@ const DAO = require("../src/dao");
 const bluebird = require("bluebird");
 const Model = require("../src/model");
 const squel = require("squel");
+const validations = require("../src/validations");
 
 const TestType = Model.define({
     id: { type: Model.Types.Serial, id: true },
@@ -57,7 +58,7 @@ describe("test type dao", function() {
                         assert.ok(typeof m.id === "number", "id should be set");
 
                         complete = true;
-                    }), { readOnly: true });
+                    }), { rollback: true });
 
                     assert.ok(complete, "did not complete");
                     done(null);
@@ -154,7 +155,7 @@ describe("test type dao", function() {
                         assert.strictEqual(m3.description, m.description, "descriptions should be the same");
 
                         complete = true;
-                    }), { readOnly: true });
+                    }), { rollback: true });
 
                     assert.ok(complete, "did not complete");
                     done(null);
@@ -194,7 +195,7 @@ describe("test type dao", function() {
                         assert.strictEqual(m2b.name, m2a.name, "name should not have changed");
                         assert.strictEqual(m2b.description, m2a.description, "description should have changed");
                         complete = true;
-                    }), { readOnly: true });
+                    }), { rollback: true });
 
                     assert.ok(complete, "did not complete");
                     done(null);
@@ -224,7 +225,7 @@ describe("test type dao", function() {
                         assert.strictEqual(m2, null, "should be null");
 
                         complete = true;
-                    }), { readOnly: true });
+                    }), { rollback: true });
 
                     assert.ok(complete, "did not complete");
                     done(null);
@@ -439,4 +440,368 @@ describe("test type dao", function() {
             });
         });
     });
+
+    describe("#find", function() {
+        const models = [];
+
+        beforeEach(function(done) {
+            bluebird.spawn(function*() {
+                try {
+                    yield client.queryAsync("BEGIN;");
+
+                    for (let i = 0; i < 10; i++) {
+                        const model = yield dao.save(client, new TestType({
+                            name: "test thingy " + (i + 1),
+                            "description": i % 2 === 0 ? "even thingy" : "odd thingy"
+                        }), { schema: "test" });
+
+                        models.push(model);
+                    }
+
+                    done(null);
+                } catch (ex) {
+                    done(ex);
+                }
+            });
+        });
+
+        afterEach(function(done) {
+            client.query("ROLLBACK;", done);
+            models.splice(0, models.length);
+        });
+
+        it("can find models by criteria", function(done) {
+            bluebird.spawn(function*() {
+                try {
+                    const res = yield dao.find(client, {
+                        description: "even thingy",
+                        id: { $gt: models[2].id }
+                    }, { schema: "test", orderBy: "-name" });
+
+                    assert.strictEqual(res.length, 3, "should have three models");
+                    assert.strictEqual(res[0].name, "test thingy 9", "should be ordered by name descending");
+                    assert.strictEqual(res[2].name, "test thingy 5", "should be ordered by name descending");
+
+                    done(null);
+                } catch (ex) {
+                    done(ex);
+                }
+            });
+        });
+
+        it("can find models with $or and $in", function(done) {
+            bluebird.spawn(function*() {
+                try {
+                    const res = yield dao.find(client, {
+                        $or: [
+                            { name: { $in: ["test thingy 1", "test thingy 2"] } },
+                            { name: { $like: "%10" } }
+                        ]
+                    }, { schema: "test" });
+
+                    assert.strictEqual(res.length, 3, "should have three models");
+                    assert.strictEqual(res[0].id, models[0].id, "should be ordered by id");
+                    assert.strictEqual(res[2].id, models[9].id, "should be ordered by id");
+
+                    done(null);
+                } catch (ex) {
+                    done(ex);
+                }
+            });
+        });
+
+        it("can find one model", function(done) {
+            bluebird.spawn(function*() {
+                try {
+                    const m = yield dao.findOne(client, { description: "odd thingy" }, {
+                        schema: "test",
+                        orderBy: ["-id"]
+                    });
+                    const m2 = yield dao.findOne(client, { name: "no such thingy" }, { schema: "test" });
+
+                    assert.strictEqual(m.id, models[9].id, "should have found the last odd model");
+                    assert.strictEqual(m2, null, "should not have found a model");
+
+                    done(null);
+                } catch (ex) {
+                    done(ex);
+                }
+            });
+        });
+    });
+
+    describe("#upsert", function() {
+        it("can upsert a model", function(done) {
+            bluebird.spawn(function*() {
+                try {
+                    let complete = false;
+
+                    yield DAO.inTransaction(client, bluebird.coroutine(function*() {
+                        const m = yield dao.save(client, new TestType({
+                            name: "test thingy",
+                            description: "cool awesome thingy"
+                        }), { schema: "test" });
+                        const res = yield dao.upsert(client, new TestType({
+                            id: m.id,
+                            name: "upserted thingy",
+                            description: "cool awesome thingy"
+                        }), { schema: "test", onConflict: { target: "id", doUpdate: ["name"] } });
+                        const res2 = yield dao.upsert(client, new TestType({
+                            id: m.id,
+                            name: "ignored thingy"
+                        }), { schema: "test", onConflict: { target: "id", doNothing: true } });
+                        const m2 = yield dao.get(client, m.id, { schema: "test" });
+
+                        assert.ok(!res.inserted && res.updated, "should have updated");
+                        assert.strictEqual(res.obj.name, "upserted thingy", "name should be updated");
+                        assert.ok(!res2.inserted && !res2.updated, "should have done nothing");
+                        assert.strictEqual(m2.name, "upserted thingy", "name should be updated");
+
+                        complete = true;
+                    }), { rollback: true });
+
+                    assert.ok(complete, "did not complete");
+                    done(null);
+                } catch (ex) {
+                    done(ex);
+                }
+            });
+        });
+    });
+
+    describe("#saveAll", function() {
+        it("can save many models", function(done) {
+            bluebird.spawn(function*() {
+                try {
+                    let complete = false;
+
+                    yield DAO.inTransaction(client, bluebird.coroutine(function*() {
+                        const models = [];
+
+                        for (let i = 0; i < 5; i++) {
+                            models.push(new TestType({ name: "test thingy " + (i + 1) }));
+                        }
+
+                        const res = yield dao.saveAll(client, models, { schema: "test", batchSize: 2 });
+
+                        assert.strictEqual(res, models, "should return the saved models");
+
+                        for (let i = 0; i < models.length; i++) {
+                            const m = yield dao.get(client, models[i].id, { schema: "test" });
+
+                            assert.ok(typeof models[i].id === "number", "id should be set");
+                            assert.strictEqual(m.name, models[i].name, "should have written back in order");
+                            assert.strictEqual(models[i].description, "", "defaults should be set");
+                        }
+
+                        complete = true;
+                    }), { rollback: true });
+
+                    assert.ok(complete, "did not complete");
+                    done(null);
+                } catch (ex) {
+                    done(ex);
+                }
+            });
+        });
+    });
+
+    describe("#updateWhere and #destroyWhere", function() {
+        const models = [];
+
+        beforeEach(function(done) {
+            bluebird.spawn(function*() {
+                try {
+                    yield client.queryAsync("BEGIN;");
+
+                    for (let i = 0; i < 5; i++) {
+                        const model = yield dao.save(client, new TestType({
+                            name: "test thingy " + (i + 1),
+                            "description": "cool awesome thingy"
+                        }), { schema: "test" });
+
+                        models.push(model);
+                    }
+
+                    done(null);
+                } catch (ex) {
+                    done(ex);
+                }
+            });
+        });
+
+        afterEach(function(done) {
+            client.query("ROLLBACK;", done);
+            models.splice(0, models.length);
+        });
+
+        it("can update models by criteria", function(done) {
+            bluebird.spawn(function*() {
+                try {
+                    const res = yield dao.updateWhere(client, { id: { $in: [models[0].id, models[1].id] } }, {
+                        description: "updated thingy"
+                    }, { schema: "test", returning: true });
+                    const res2 = yield dao.find(client, { description: "updated thingy" }, { schema: "test" });
+
+                    assert.strictEqual(res.count, 2, "should have updated two models");
+                    assert.strictEqual(res.objs.length, 2, "should have returned two models");
+                    assert.strictEqual(res.objs[0].description, "updated thingy", "should return updated models");
+                    assert.strictEqual(res2.length, 2, "should have updated two models");
+
+                    done(null);
+                } catch (ex) {
+                    done(ex);
+                }
+            });
+        });
+
+        it("can destroy models by criteria", function(done) {
+            bluebird.spawn(function*() {
+                try {
+                    const res = yield dao.destroyWhere(client, { id: { $gte: models[2].id } }, { schema: "test" });
+                    const m = yield dao.get(client, models[4].id, { schema: "test" });
+
+                    assert.strictEqual(res.count, 3, "should have destroyed three models");
+                    assert.strictEqual(res.objs, null, "should not have returned models");
+                    assert.strictEqual(m, null, "should be null");
+
+                    done(null);
+                } catch (ex) {
+                    done(ex);
+                }
+            });
+        });
+    });
+
+    describe("hooks", function() {
+        const HookedType = Model.define({
+            id: { type: Model.Types.Serial, id: true },
+            name: { type: String },
+            description: { type: String, default: "" }
+        }, {
+            table: "test_types",
+            hooks: {
+                preCreate: [function(conn, opts) {
+                    const self = this;
+
+                    return conn.queryAsync("SELECT count(*) FROM " + DAO.tableRef(opts.schema, self.table))
+                        .then(function(res) {
+                            self.values.current.description = "number " + (parseInt(res.rows[0].count, 10) + 1);
+                        });
+                }],
+                preDestroy: [function() {
+                    return bluebird.reject(new Error("not allowed"));
+                }],
+                postLoad: [function() {
+                    this.values.current.name = this.values.current.name.toUpperCase();
+                }]
+            }
+        });
+        const hookedDao = new DAO(HookedType.prototype);
+
+        it("waits for asynchronous hooks", function(done) {
+            bluebird.spawn(function*() {
+                try {
+                    let complete = false;
+
+                    yield DAO.inTransaction(client, bluebird.coroutine(function*() {
+                        const count = yield hookedDao.count(client, { schema: "test" });
+                        const m = yield hookedDao.save(client, new HookedType({ name: "test thingy" }), {
+                            schema: "test"
+                        });
+                        const m2 = yield hookedDao.get(client, m.id, { schema: "test" });
+
+                        assert.strictEqual(m.description, "number " + (count + 1), "preCreate should have run");
+                        assert.strictEqual(m2.name, "TEST THINGY", "postLoad should have run");
+
+                        complete = true;
+                    }), { rollback: true });
+
+                    assert.ok(complete, "did not complete");
+                    done(null);
+                } catch (ex) {
+                    done(ex);
+                }
+            });
+        });
+
+        it("aborts when a hook rejects", function(done) {
+            bluebird.spawn(function*() {
+                try {
+                    let complete = false;
+
+                    yield DAO.inTransaction(client, bluebird.coroutine(function*() {
+                        const m = yield hookedDao.save(client, new HookedType({ name: "test thingy" }), {
+                            schema: "test"
+                        });
+
+                        try {
+                            yield hookedDao.destroy(client, m, { schema: "test" });
+
+                            assert.fail("destroy should have been aborted");
+                        } catch (ex) {
+                            assert.strictEqual(ex.message, "not allowed");
+                        }
+
+                        const m2 = yield hookedDao.get(client, m.id, { schema: "test" });
+
+                        assert.ok(m2 !== null, "model should not have been destroyed");
+
+                        complete = true;
+                    }), { rollback: true });
+
+                    assert.ok(complete, "did not complete");
+                    done(null);
+                } catch (ex) {
+                    done(ex);
+                }
+            });
+        });
+    });
+
+    describe("asynchronous validations", function() {
+        const UniqueType = Model.define({
+            id: { type: Model.Types.Serial, id: true },
+            name: { type: String },
+            description: { type: String, default: "" }
+        }, {
+            table: "test_types",
+            validations: {
+                name: [validations.isUnique]
+            }
+        });
+        const uniqueDao = new DAO(UniqueType.prototype, "test");
+
+        it("checks uniqueness before saving", function(done) {
+            bluebird.spawn(function*() {
+                try {
+                    let complete = false;
+
+                    yield DAO.inTransaction(client, bluebird.coroutine(function*() {
+                        const m = yield uniqueDao.save(client, new UniqueType({ name: "unique thingy" }));
+
+                        m.description = "still unique";
+
+                        yield uniqueDao.update(client, m);
+
+                        try {
+                            yield uniqueDao.save(client, new UniqueType({ name: "unique thingy" }));
+
+                            assert.fail("save should have failed validation");
+                        } catch (ex) {
+                            assert.equal(ex.failed.length, 1);
+                            assert.equal(ex.failed[0][0], "name");
+                        }
+
+                        complete = true;
+                    }), { rollback: true });
+
+                    assert.ok(complete, "did not complete");
+                    done(null);
+                } catch (ex) {
+                    done(ex);
+                }
+            });
+        });
+    });
 });
@@ -0,0 +1,75 @@
+"use strict";
+
+const assert = require("assert");
+const Model = require("../src/model");
+const validations = require("../src/validations");
+
+describe("ddl", function() {
+
+    const TestA = Model.define({
+        id: { type: Model.Types.Serial, id: true },
+        email: { type: String, unique: true },
+        name: { type: String, default: "it's", index: true },
+        rating: { type: Model.Types.Decimal, column: "rating_value", index: "test_as_rating_settings_idx" },
+        settings: { type: Model.Types.JSONB, sqlDefault: "'{}'", index: "test_as_rating_settings_idx" },
+        createdDate: { type: Date, column: "created_date", sqlDefault: "now()" },
+        code: { type: String, sqlType: "char(4)" }
+    }, {
+        table: "test_as",
+        validations: {
+            email: [validations.isNotNull, validations.isString]
+        }
+    });
+
+    it("generates a create table statement", function() {
+        assert.strictEqual(TestA.prototype.toDDL({ schema: "test" }), [
+            "CREATE TABLE test.test_as (",
+            "    id serial NOT NULL,",
+            "    email text NOT NULL,",
+            "    name text DEFAULT 'it''s',",
+            "    rating_value numeric,",
+            "    settings jsonb DEFAULT '{}',",
+            "    created_date timestamp with time zone DEFAULT now(),",
+            "    code char(4),",
+            "    PRIMARY KEY (id),",
+            "    CONSTRAINT test_as_email_unique UNIQUE (email)",
+            ");",
+            "CREATE INDEX test_as_name_index ON test.test_as (name);",
+            "CREATE INDEX test_as_rating_settings_idx ON test.test_as (rating_value, settings);"
+        ].join("\n"));
+    });
+
+    it("generates composite primary keys", function() {
+        const TestB = Model.define({
+            a: { type: Model.Types.Integer, id: true },
+            b: { type: Model.Types.UUID, id: true }
+        }, {
+            table: "test_bs"
+        });
+
+        assert.strictEqual(TestB.prototype.toDDL({ ifNotExists: true }), [
+            "CREATE TABLE IF NOT EXISTS test_bs (",
+            "    a integer NOT NULL,",
+            "    b uuid NOT NULL,",
+            "    PRIMARY KEY (a, b)",
+            ");"
+        ].join("\n"));
+    });
+
+    it("generates a drop table statement", function() {
+        assert.strictEqual(TestA.prototype.toDropDDL({ schema: "test", ifExists: true }),
+            "DROP TABLE IF EXISTS test.test_as;");
+    });
+
+    it("throws on attributes without a SQL type", function() {
+        const TestC = Model.define({
+            thing: { type: Object }
+        }, {
+            table: "test_cs"
+        });
+
+        assert.throws(function() {
+            TestC.prototype.toDDL();
+        });
+    });
+});
@@ -0,0 +1,157 @@
+"use strict";
+
+const assert = require("assert");
+const bluebird = require("bluebird");
+const errors = require("../src/errors");
+const DAO = require("../src/dao");
+const Model = require("../src/model");
+const fakeConn = require("./fakes").fakeConn;
+
+describe("errors", function() {
+
+    const TestType = Model.define({
+        id: { type: Model.Types.Serial, id: true },
+        email: { type: String },
+        authorId: { type: Number, column: "author_id" }
+    }, {
+        table: "test_types"
+    });
+    const dao = new DAO(TestType.prototype, "test");
+
+    function pgError(code, message, fields) {
+        const err = new Error(message);
+
+        err.code = code;
+
+        Object.keys(fields || {}).forEach(function(key) {
+            err[key] = fields[key];
+        });
+
+        return err;
+    }
+
+    it("makes validation errors real errors", function() {
+        const ex = new errors.ValidationError([["name", "expected string"], ["rating", "expected number"]]);
+
+        assert.ok(ex instanceof Error);
+        assert.strictEqual(ex.name, "ValidationError");
+        assert.strictEqual(ex.message, "Validation failed: name expected string, rating expected number");
+        assert.ok(ex.stack, "should have a stack");
+        assert.strictEqual(require("../src/validations").ValidationError, errors.ValidationError);
+    });
+
+    it("translates postgres errors by SQLSTATE", function() {
+        const unique = errors.fromPg(pgError("23505", "duplicate key value violates unique constraint", {
+            detail: "Key (email)=(a@example.com) already exists.",
+            constraint: "test_types_email_unique"
+        }), TestType.prototype);
+        const foreignKey = errors.fromPg(pgError("23503", "insert or update violates foreign key constraint", {
+            detail: "Key (author_id)=(5) is not present in table \"authors\"."
+        }), TestType.prototype);
+        const notNull = errors.fromPg(pgError("23502", "null value in column \"email\" violates not-null constraint"),
+            TestType.prototype);
+        const serialization = errors.fromPg(pgError("40001", "could not serialize access"));
+        const other = pgError("42P01", "relation does not exist");
+
+        assert.ok(unique instanceof errors.UniqueViolationError);
+        assert.ok(unique instanceof errors.DatabaseError);
+        assert.ok(unique instanceof Error);
+        assert.deepEqual(unique.attrNames, ["email"]);
+        assert.strictEqual(unique.constraint, "test_types_email_unique");
+        assert.strictEqual(unique.model, TestType.prototype);
+        assert.strictEqual(unique.code, "23505");
+        assert.ok(foreignKey instanceof errors.ForeignKeyViolationError);
+        assert.deepEqual(foreignKey.attrNames, ["authorId"]);
+        assert.ok(notNull instanceof errors.NotNullViolationError);
+        assert.deepEqual(notNull.attrNames, ["email"]);
+        assert.ok(serialization instanceof errors.SerializationFailureError);
+        assert.strictEqual(errors.fromPg(other), other, "should leave other errors alone");
+    });
+
+    it("rejects DAO calls with translated errors", function(done) {
+        const conn = fakeConn(function() {
+            throw pgError("23505", "duplicate key value violates unique constraint", {
+                detail: "Key (email)=(a@example.com) already exists."
+            });
+        });
+
+        dao.save(conn, new TestType({ email: "a@example.com" })).then(function() {
+            throw new Error("should have failed");
+        }, function(ex) {
+            assert.ok(ex instanceof errors.UniqueViolationError, ex.message);
+            assert.deepEqual(ex.attrNames, ["email"]);
+        }).then(done, done);
+    });
+
+    it("translates errors wrapped by promisified clients", function(done) {
+        const client = bluebird.promisifyAll({
+            query: function(sql, values, callback) {
+                setImmediate(function() {
+                    callback(pgError("23505", "duplicate key value violates unique constraint", {
+                        detail: "Key (email)=(a@example.com) already exists."
+                    }));
+                });
+            }
+        });
+
+        dao.save(client, new TestType({ email: "a@example.com" })).then(function() {
+            throw new Error("should have failed");
+        }, function(ex) {
+            assert.ok(ex instanceof errors.UniqueViolationError, ex.message);
+            assert.deepEqual(ex.attrNames, ["email"]);
+            assert.strictEqual(ex.cause.code, "23505");
+        }).then(done, done);
+    });
+
+    it("translates errors of streams and of related models", function(done) {
+        const Tag = Model.define({
+            id: { type: Model.Types.Serial, id: true },
+            label: { type: String, column: "tag_label" }
+        }, {
+            table: "tags"
+        });
+        const Post = Model.define({
+            id: { type: Model.Types.Serial, id: true }
+        }, {
+            table: "posts",
+            relations: {
+                tags: { manyToMany: Tag, through: "post_tags", foreignKey: "post_id", otherKey: "tag_id" }
+            }
+        });
+        const conn = fakeConn(function(sql) {
+            if (/^(FETCH|SELECT)/.test(sql)) {
+                throw pgError("23502", "null value in column \"tag_label\" violates not-null constraint");
+            }
+        });
+        const postDao = new DAO(Post.prototype, "test");
+
+        postDao.loadRelated(conn, [new Post({ id: 1 })], "tags").then(function() {
+            throw new Error("should have failed");
+        }, function(ex) {
+            assert.ok(ex instanceof errors.NotNullViolationError, ex.message);
+            assert.strictEqual(ex.model, Tag.prototype);
+            assert.deepEqual(ex.attrNames, ["label"]);
+
+            return new bluebird(function(resolve, reject) {
+                dao.list(conn, { stream: true }).on("data", function() {
+                    reject(new Error("should have failed"));
+                }).on("error", resolve);
+            });
+        }).then(function(ex) {
+            assert.ok(ex instanceof errors.NotNullViolationError, ex.message);
+            assert.strictEqual(ex.model, TestType.prototype);
+        }).then(done, done);
+    });
+
+    it("fails getOrFail when nothing is found", function(done) {
+        const conn = fakeConn([]);
+
+        dao.getOrFail(conn, 5).then(function() {
+            throw new Error("should have failed");
+        }, function(ex) {
+            assert.ok(ex instanceof errors.NotFoundError);
+            assert.strictEqual(ex.id, 5);
+            assert.strictEqual(ex.message, "No test_types 5");
+        }).then(done, done);
+    });
+});
@@ -0,0 +1,132 @@
+"use strict";
+
+const fs = require("fs");
+const vm = require("vm");
+const os = require("os");
+const path = require("path");
+const assert = require("assert");
+const introspect = require("../src/introspect");
+const validations = require("../src/validations");
+const Model = require("../src/model");
+const fakeConn = require("./fakes").fakeConn;
+
+describe("introspect", function() {
+
+    const columns = [
+        { table_name: "user_accounts", column_name: "id", udt_name: "int4", is_nullable: "NO",
+            column_default: "nextval('user_accounts_id_seq'::regclass)", character_maximum_length: null },
+        { table_name: "user_accounts", column_name: "email", udt_name: "varchar", is_nullable: "NO",
+            column_default: null, character_maximum_length: 255 },
+        { table_name: "user_accounts", column_name: "display_name", udt_name: "text", is_nullable: "YES",
+            column_default: "'it''s me'::text", character_maximum_length: null },
+        { table_name: "user_accounts", column_name: "login_count", udt_name: "int4", is_nullable: "NO",
+            column_default: "0", character_maximum_length: null },
+        { table_name: "user_accounts", column_name: "created_at", udt_name: "timestamptz", is_nullable: "NO",
+            column_default: "now()", character_maximum_length: null },
+        { table_name: "user_accounts", column_name: "settings", udt_name: "jsonb", is_nullable: "YES",
+            column_default: null, character_maximum_length: null },
+        { table_name: "memberships", column_name: "user_id", udt_name: "int4", is_nullable: "NO",
+            column_default: null, character_maximum_length: null },
+        { table_name: "memberships", column_name: "group_id", udt_name: "uuid", is_nullable: "NO",
+            column_default: null, character_maximum_length: null },
+        { table_name: "memberships", column_name: "location", udt_name: "point", is_nullable: "YES",
+            column_default: null, character_maximum_length: null }
+    ];
+    const primaryKeys = [
+        { table_name: "user_accounts", column_name: "id" },
+        { table_name: "memberships", column_name: "user_id" },
+        { table_name: "memberships", column_name: "group_id" }
+    ];
+    const conn = fakeConn(function(sql, values) {
+        assert.deepEqual(values, ["legacy"]);
+
+        return sql.indexOf("pg_index") !== -1 ? primaryKeys : columns;
+    });
+
+    it("describes the tables of a schema", function(done) {
+        introspect.describe(conn, "legacy").then(function(definitions) {
+            const accounts = definitions.user_accounts;
+
+            assert.deepEqual(Object.keys(definitions), ["user_accounts", "memberships"]);
+            assert.strictEqual(accounts.name, "UserAccounts");
+            assert.deepEqual(Object.keys(accounts.attrs),
+                ["id", "email", "displayName", "loginCount", "createdAt", "settings"]);
+            assert.deepEqual(accounts.attrs.id, { typeName: "Serial", column: "id", id: true, notNull: false });
+            assert.deepEqual(accounts.attrs.email,
+                { typeName: "String", column: "email", sqlType: "varchar(255)", notNull: true });
+            assert.strictEqual(accounts.attrs.displayName.default, "it's me");
+            assert.strictEqual(accounts.attrs.loginCount.default, 0);
+            assert.strictEqual(accounts.attrs.loginCount.notNull, false, "defaulted columns may be left null");
+            assert.strictEqual(accounts.attrs.createdAt.sqlDefault, "now()");
+            assert.strictEqual(accounts.attrs.settings.typeName, "JSONB");
+            assert.strictEqual(definitions.memberships.attrs.groupId.id, true);
+            assert.strictEqual(definitions.memberships.attrs.location.sqlType, "point");
+        }).then(done, done);
+    });
+
+    it("only describes the tables asked for", function(done) {
+        introspect.describe(conn, "legacy", { tables: ["memberships"] }).then(function(definitions) {
+            assert.deepEqual(Object.keys(definitions), ["memberships"]);
+        }).then(done, done);
+    });
+
+    it("defines live models", function(done) {
+        introspect.models(conn, "legacy").then(function(models) {
+            const UserAccounts = models.UserAccounts;
+
+            assert.strictEqual(UserAccounts.prototype.table, "user_accounts");
+            assert.strictEqual(UserAccounts.prototype.id, "id");
+            assert.strictEqual(UserAccounts.prototype.attrs.id.type, Model.Types.Serial);
+            assert.strictEqual(UserAccounts.prototype.attrs.email.type, String);
+            assert.strictEqual(UserAccounts.prototype.attrs.createdAt.column, "created_at");
+            assert.deepEqual(UserAccounts.prototype.validations.email, [validations.isNotNull]);
+            assert.deepEqual(models.Memberships.prototype.ids, ["userId", "groupId"]);
+        }).then(done, done);
+    });
+
+    it("generates model sources", function(done) {
+        const directory = fs.mkdtempSync(path.join(os.tmpdir(), "introspect-"));
+
+        introspect.generate(conn, "legacy", directory, { require: path.join(__dirname, "..", "src") })
+            .then(function(files) {
+                assert.deepEqual(files.map(function(file) {
+                    return path.basename(file);
+                }), ["user_accounts.js", "memberships.js"]);
+
+                const source = fs.readFileSync(files[0], "utf8");
+
+                assert.ok(source.indexOf("id: { type: Model.Types.Serial, id: true }") !== -1, source);
+                assert.ok(source.indexOf("createdAt: { type: Model.Types.Timestamp, column: \"created_at\", " +
+                    "sqlDefault: \"now()\" }") !== -1, source);
+
+                const UserAccounts = require(files[0]);
+
+                assert.strictEqual(UserAccounts.prototype.table, "user_accounts");
+                assert.deepEqual(UserAccounts.prototype.validations.email, [validations.isNotNull]);
+                assert.strictEqual(UserAccounts.prototype.attrs.email.sqlType, "varchar(255)");
+            }).then(function() {
+                fs.readdirSync(directory).forEach(function(file) {
+                    fs.unlinkSync(path.join(directory, file));
+                });
+                fs.rmdirSync(directory);
+            }).then(done, done);
+    });
+
+    it("quotes attribute names that aren't identifiers", function() {
+        const source = introspect.source({
+            table: "odd",
+            name: "Odd",
+            attrs: {
+                "user-id": { typeName: "Integer", column: "user-id", notNull: true },
+                "2fa": { typeName: "Boolean", column: "2fa", notNull: false }
+            }
+        });
+
+        assert.ok(source.indexOf("\"user-id\": { type: Model.Types.Integer }") !== -1, source);
+        assert.ok(source.indexOf("\"user-id\": [validations.isNotNull]") !== -1, source);
+        assert.ok(source.indexOf("\"2fa\": { type: Boolean }") !== -1, source);
+        assert.doesNotThrow(function() {
+            return new vm.Script(source);
+        });
+    });
+});
@@ -0,0 +1,71 @@
+"use strict";
+
+const assert = require("assert");
+const DAO = require("../src/dao");
+const errors = require("../src/errors");
+const Model = require("../src/model");
+const fakeConn = require("./fakes").fakeConn;
+
+describe("optimistic locking", function() {
+
+    const Doc = Model.define({
+        id: { type: Model.Types.Serial, id: true },
+        title: { type: String },
+        revision: { type: Number, column: "revision", version: true }
+    }, {
+        table: "docs"
+    });
+    const dao = new DAO(Doc.prototype, "test");
+
+    function loaded(values) {
+        const obj = new Doc(values);
+
+        obj.checkpoint();
+
+        return obj;
+    }
+
+    it("updates only the version it loaded and bumps it", function(done) {
+        const conn = fakeConn([{ id: 1, title: "b", revision: 4 }]);
+        const obj = loaded({ id: 1, title: "a", revision: 3 });
+
+        obj.title = "b";
+
+        dao.update(conn, obj).then(function(res) {
+            assert.strictEqual(res, obj);
+            assert.deepEqual(conn.queries[0], [
+                "UPDATE test.docs SET title = $3, revision = revision + 1 WHERE (id = $1 AND revision = $2) " +
+                    "RETURNING *",
+                [1, 3, "b"]
+            ]);
+            assert.strictEqual(obj.revision, 4);
+            assert.strictEqual(obj.hasChanged("revision"), false);
+        }).then(done, done);
+    });
+
+    it("throws StaleObjectError when the row changed meanwhile", function(done) {
+        const conn = fakeConn([]);
+        const obj = loaded({ id: 1, title: "a", revision: 3 });
+
+        obj.title = "b";
+
+        dao.update(conn, obj).then(function() {
+            throw new Error("should have failed");
+        }, function(ex) {
+            assert.ok(ex instanceof errors.StaleObjectError, ex.message);
+            assert.strictEqual(ex.id, 1);
+            assert.strictEqual(obj.revision, 3, "should keep the loaded version");
+        }).then(done, done);
+    });
+
+    it("bumps the version in updateWhere", function(done) {
+        const conn = fakeConn([]);
+
+        dao.updateWhere(conn, { title: "a" }, { title: "b" }).then(function() {
+            assert.deepEqual(conn.queries[0], [
+                "UPDATE test.docs SET title = $1, revision = revision + 1 WHERE (title = $2)",
+                ["b", "a"]
+            ]);
+        }).then(done, done);
+    });
+});
@@ -0,0 +1,97 @@
+"use strict";
+
+const path = require("path");
+const assert = require("assert");
+const bluebird = require("bluebird");
+const Migrator = require("../src/migrations");
+const fakeConn = require("./fakes").fakeConn;
+
+describe("migrations", function() {
+
+    const migrator = new Migrator({ directory: path.join(__dirname, "fixtures", "migrations"), schema: "test" });
+
+    // keeps the applied migrations in `applied`
+    function fakeMigrationsConn(applied) {
+        return fakeConn(function(sql, values) {
+            if (sql.indexOf("SELECT version") === 0) {
+                return applied;
+            } else if (sql.indexOf("INSERT INTO test.migrations") === 0) {
+                applied.push({ version: String(values[0]), name: values[1], checksum: values[2] });
+            } else if (sql.indexOf("DELETE FROM test.migrations") === 0) {
+                applied.splice(applied.length - 1, 1);
+            }
+        });
+    }
+
+    it("loads migrations in version order", function() {
+        const migrations = migrator.load();
+
+        assert.deepEqual(migrations.map(function(migration) {
+            return migration.version;
+        }), [1, 2, 10]);
+        assert.strictEqual(migrations[1].name, "add_thing_name");
+        assert.ok(/^[0-9a-f]{40}$/.test(migrations[0].checksum), "should have a checksum");
+    });
+
+    it("plans migrations up and down to a target", function() {
+        const migrations = migrator.load();
+
+        const latest = migrator.plan(migrations, [{ version: 1 }]);
+        const back = migrator.plan(migrations, [{ version: 1 }, { version: 2 }, { version: 10 }], 1);
+
+        assert.deepEqual(latest.up.map(function(migration) {
+            return migration.version;
+        }), [2, 10]);
+        assert.strictEqual(latest.down.length, 0);
+        assert.deepEqual(back.down.map(function(migration) {
+            return migration.version;
+        }), [10, 2]);
+        assert.strictEqual(back.up.length, 0);
+    });
+
+    it("refuses to run when an applied migration has changed", function() {
+        const migrations = migrator.load();
+
+        assert.throws(function() {
+            migrator.verify(migrations, [{ version: 1, name: "create_things", checksum: "nope" }]);
+        });
+        assert.throws(function() {
+            migrator.verify(migrations, [{ version: 3, name: "gone", checksum: "nope" }]);
+        });
+    });
+
+    it("migrates in transactions under an advisory lock", function(done) {
+        bluebird.spawn(function*() {
+            try {
+                const conn = fakeMigrationsConn([]);
+                const run = yield migrator.migrate(conn, 2);
+
+                assert.strictEqual(run.length, 2, "should have run two migrations");
+                assert.strictEqual(conn.statements()[0], "SELECT pg_advisory_lock($1);");
+                assert.deepEqual(conn.statements().slice(3, 7), [
+                    "BEGIN;",
+                    "CREATE TABLE things (id serial PRIMARY KEY);",
+                    "INSERT INTO test.migrations (version, name, checksum) VALUES ($1, $2, $3);",
+                    "COMMIT;"
+                ]);
+                assert.strictEqual(conn.statements()[conn.queries.length - 1], "SELECT pg_advisory_unlock($1);");
+
+                const status = yield migrator.status(conn);
+
+                assert.deepEqual(status.map(function(migration) {
+                    return migration.applied;
+                }), [true, true, false]);
+
+                const rolledBack = yield migrator.rollback(conn);
+
+                assert.strictEqual(rolledBack[0].version, 2, "should have rolled back the latest migration");
+                assert.ok(conn.statements().indexOf("ALTER TABLE things DROP COLUMN name;") !== -1,
+                    "should have run down");
+
+                done(null);
+            } catch (ex) {
+                done(ex);
+            }
+        });
+    });
+});
@@ -1,6 +1,7 @@
 "use strict";
 
 const assert = require("assert");
+const bluebird = require("bluebird");
 const Model = require("../src/model");
 const validations = require("../src/validations");
 
@@ -380,4 +381,417 @@ describe("base model", function() {
             assert.equal(found, 2);
         }
     });
+
+    it("can declare relations", function() {
+        const Author = Model.define({
+            id: { type: Model.Types.Serial, id: true },
+            name: { type: String }
+        }, {
+            table: "authors"
+        });
+        const Post = Model.define({
+            id: { type: Model.Types.Serial, id: true },
+            authorId: { type: Number, column: "author_id" }
+        }, {
+            table: "posts",
+            relations: {
+                author: { belongsTo: Author, foreignKey: "authorId" },
+                comments: { hasMany: function() { return Comment; }, foreignKey: "postId" },
+                tags: { manyToMany: Author, through: "post_tags", foreignKey: "post_id", otherKey: "tag_id" }
+            }
+        });
+        const Comment = Model.define({
+            id: { type: Model.Types.Serial, id: true },
+            postId: { type: Number, column: "post_id" }
+        });
+        const relations = Post.prototype.relations;
+
+        assert.strictEqual(relations.author.type, "belongsTo");
+        assert.strictEqual(relations.author.model(), Author.prototype, "should resolve the related model");
+        assert.strictEqual(relations.comments.type, "hasMany");
+        assert.strictEqual(relations.comments.model(), Comment.prototype, "should resolve a deferred related model");
+        assert.strictEqual(relations.tags.through, "post_tags");
+    });
+
+    it("throws on incomplete relations", function() {
+        const TestA = Model.define({
+            name: { type: String }
+        });
+
+        assert.throws(function() {
+            Model.define({ name: { type: String } }, { relations: { a: { belongsTo: TestA } } });
+        });
+        assert.throws(function() {
+            Model.define({ name: { type: String } }, { relations: { a: { manyToMany: TestA, foreignKey: "a_id" } } });
+        });
+        assert.throws(function() {
+            Model.define({ name: { type: String } }, { relations: { a: { foreignKey: "a_id" } } });
+        });
+    });
+
+    it("picks out composite id attributes", function() {
+        const TestA = Model.define({
+            a: { type: Number, id: true },
+            b: { type: Number, id: true },
+            name: { type: String }
+        });
+        const t = new TestA({ a: 1, b: 2, name: "foo" });
+
+        assert.deepEqual(TestA.prototype.ids, ["a", "b"]);
+        assert.strictEqual(TestA.prototype.id, null, "should not have a single id attribute");
+        assert.deepEqual(t.id, { a: 1, b: 2 }, "id should be the composite key");
+
+        t.id = { a: 3, b: 4 };
+
+        assert.strictEqual(t.a, 3, "a should have changed");
+        assert.strictEqual(t.b, 4, "b should have changed");
+        assert.ok(t.hasChanged("a") && t.hasChanged("b"), "should track id changes");
+    });
+
+    it("turns ids into id criteria", function() {
+        const TestA = Model.define({
+            id: { type: Model.Types.Serial, id: true },
+            name: { type: String }
+        });
+        const TestB = Model.define({
+            a: { type: Number, id: true },
+            b: { type: Number, id: true }
+        });
+
+        assert.deepEqual(TestA.prototype.idCriteria(5), { id: 5 });
+        assert.deepEqual(TestA.prototype.idCriteria({ id: 5 }), { id: 5 });
+        assert.deepEqual(TestB.prototype.idCriteria({ a: 1, b: 2, c: 3 }), { a: 1, b: 2 });
+        assert.throws(function() {
+            TestB.prototype.idCriteria({ a: 1 });
+        });
+    });
+
+    it("picks out the version attribute", function() {
+        const TestA = Model.define({
+            id: { type: Model.Types.Serial, id: true },
+            name: { type: String },
+            version: { type: Number, version: true }
+        });
+        const t = new TestA({ name: "foo" });
+        const t2 = new TestA({ name: "foo", version: 3 });
+
+        assert.strictEqual(TestA.prototype.version, "version", "should have the version attribute");
+        assert.strictEqual(t.version, 1, "version should default to 1");
+        assert.strictEqual(t2.version, 3, "version should be set");
+    });
+
+    it("picks out the soft delete attribute", function() {
+        const TestA = Model.define({
+            id: { type: Model.Types.Serial, id: true },
+            deletedDate: { type: Date, column: "deleted_date" }
+        }, {
+            softDelete: "deletedDate"
+        });
+
+        assert.strictEqual(TestA.prototype.softDelete, "deletedDate", "should have the soft delete attribute");
+        assert.throws(function() {
+            Model.define({ name: { type: String } }, { softDelete: "deletedDate" });
+        });
+    });
+
+    it("rejects on asynchronous validation error", function(done) {
+        const conn = {};
+        const TestA = Model.define({
+            name: { type: String },
+            rating: { type: Number }
+        }, {
+            validations: {
+                name: [validations.isString, function(value, ctx) {
+                    assert.strictEqual(ctx.conn, conn, "should get the connection");
+                    assert.strictEqual(ctx.attr, "name", "should get the attribute name");
+
+                    return bluebird.resolve(value === "taken" ? [false, "expected available name"] : [true]);
+                }],
+                rating: [[validations.isInRange, 0, 10]]
+            }
+        });
+        const t = new TestA({ name: "taken", rating: 11 });
+
+        t.validateAsync(conn).then(function() {
+            done(new Error("validation should have failed"));
+        }, function(ex) {
+            assert.equal(ex.failed.length, 2);
+            assert.deepEqual(ex.failed[0], ["name", "expected available name"]);
+            assert.equal(ex.failed[1][0], "rating");
+
+            done(null);
+        }).catch(done);
+    });
+
+    it("throws when validating asynchronous validations synchronously", function() {
+        const TestA = Model.define({
+            name: { type: String }
+        }, {
+            validations: {
+                name: [validations.isUnique]
+            }
+        });
+        const t = new TestA({ name: "foo" });
+
+        assert.throws(function() {
+            t.validate();
+        });
+    });
+
+    it("coerces values by attribute type", function() {
+        const TestA = Model.define({
+            id: { type: Model.Types.BigInt, id: true },
+            rating: { type: Model.Types.Decimal },
+            createdDate: { type: Date }
+        });
+        const t = new TestA({ id: "12", rating: "4.5", createdDate: "2014-02-03T04:05:06Z" });
+
+        assert.strictEqual(t.id, 12, "id should be a number");
+        assert.strictEqual(t.rating, 4.5, "rating should be a number");
+        assert.ok(t.createdDate instanceof Date, "createdDate should be a date");
+
+        t.rating = "5.25";
+
+        assert.strictEqual(t.rating, 5.25, "rating should be a number");
+        assert.strictEqual(t.changed("rating"), 5.25, "changed value should be a number");
+    });
+
+    it("converts rows read from the database", function() {
+        const TestA = Model.define({
+            id: { type: Model.Types.Serial, id: true },
+            settings: { type: Model.Types.JSONB, column: "settings_json" }
+        });
+
+        assert.deepEqual(TestA.prototype.fromRow({ id: "3", settings_json: "{\"a\":1}", extra: 1 }), {
+            id: 3,
+            settings: { a: 1 }
+        });
+    });
+
+    it("compiles declarative attr rules into validations", function() {
+        const TestA = Model.define({
+            name: { type: String, required: true, maxLength: 5 },
+            status: { type: String, enum: ["open", "closed"] }
+        }, {
+            validations: {
+                name: [validations.isString]
+            }
+        });
+
+        assert.strictEqual(TestA.prototype.validations.name.length, 3);
+        assert.strictEqual(TestA.prototype.validations.name[0], validations.isNotNull);
+        new TestA({ name: "abc" }).validate();
+
+        try {
+            new TestA({ name: "abcdef", status: "pending" }).validate();
+
+            assert.fail("validation should have failed");
+        } catch (ex) {
+            assert.deepEqual(ex.failed, [["name", "expected length <= 5"], ["status", "expected one of open, closed"]]);
+        }
+
+        try {
+            new TestA({}).validate();
+
+            assert.fail("validation should have failed");
+        } catch (ex) {
+            assert.deepEqual(ex.failed, [["name", "expected not null"], ["name", "expected string"]]);
+        }
+    });
+
+    it("runs model validations across attributes", function() {
+        const TestA = Model.define({
+            startDate: { type: Date },
+            endDate: { type: Date },
+            email: { type: String },
+            phone: { type: String }
+        }, {
+            validations: {
+                $model: [
+                    function(obj) {
+                        return obj.endDate > obj.startDate ? [true] : [false, "expected end after start", "endDate"];
+                    },
+                    function(obj) {
+                        return obj.email || obj.phone ? [true] : [false, "expected email or phone"];
+                    }
+                ]
+            }
+        });
+
+        new TestA({ startDate: new Date(1000), endDate: new Date(2000), phone: "555" }).validate();
+
+        try {
+            new TestA({ startDate: new Date(2000), endDate: new Date(1000) }).validate();
+
+            assert.fail("validation should have failed");
+        } catch (ex) {
+            assert.deepEqual(ex.failed,
+                [["endDate", "expected end after start"], ["$model", "expected email or phone"]]);
+            assert.deepEqual(ex.byAttr, { endDate: ["expected end after start"], $model: ["expected email or phone"] });
+        }
+    });
+
+    it("runs tagged validations in their contexts only", function(done) {
+        const TestA = Model.define({
+            name: { type: String },
+            publishedAt: { type: Date }
+        }, {
+            validations: {
+                name: [{ validate: validations.isNotNull, on: "create" }],
+                publishedAt: [{ validate: validations.isDate, on: ["publish"] }]
+            }
+        });
+        const t = new TestA({});
+
+        t.validate();
+        t.validate("update");
+
+        try {
+            t.validate("publish");
+
+            assert.fail("validation should have failed");
+        } catch (ex) {
+            assert.deepEqual(ex.failed, [["publishedAt", "expected Date"]]);
+        }
+
+        t.validateAsync(null, { context: "create" }).then(function() {
+            throw new Error("should have failed");
+        }, function(ex) {
+            assert.deepEqual(ex.failed, [["name", "expected not null"]]);
+        }).then(done, done);
+    });
+
+    it("tracks changes made in place to nested values", function() {
+        const TestA = Model.define({
+            tags: { type: Array },
+            settings: { type: Model.Types.JSONB }
+        });
+        const t = new TestA({ tags: ["a"], settings: { theme: "light", panes: [1] } });
+        const events = [];
+
+        t.on("change:settings", function(original, current) {
+            events.push([original, current]);
+        });
+
+        t.tags.push("b");
+        t.settings.panes.push(2);
+
+        assert.deepEqual(t.changed(), { tags: ["a", "b"], settings: { theme: "light", panes: [1, 2] } });
+        assert.deepEqual(t.original("tags"), ["a"], "should keep the value before the push");
+        assert.deepEqual(events, [[{ theme: "light", panes: [1] }, { theme: "light", panes: [1, 2] }]]);
+
+        t.tags.pop();
+
+        assert.ok(!t.hasChanged("tags"), "should be unchanged once changed back");
+
+        t.checkpoint();
+        t.settings.theme = "dark";
+
+        assert.deepEqual(t.original("settings"), { theme: "light", panes: [1, 2] }, "should compare to the checkpoint");
+    });
+
+    it("behaves like a plain object of its attributes", function() {
+        const TestA = Model.define({
+            id: { type: Model.Types.Serial, id: true },
+            name: { type: String }
+        }, {
+            methods: {
+                greet: function() {
+                    return "hi " + this.values.current.name;
+                }
+            }
+        });
+        const TestB = Model.define({ name: { type: String } });
+        const t = new TestA({ id: 1, name: "foo" });
+        const names = [];
+
+        for (let name in t) {
+            names.push(name);
+        }
+
+        assert.deepEqual(Object.keys(t), ["id", "name"]);
+        assert.deepEqual(names, ["id", "name"]);
+        assert.strictEqual(JSON.stringify(t), "{\"id\":1,\"name\":\"foo\"}");
+        assert.ok("name" in t && "greet" in t && !("nope" in t));
+        assert.ok(Object.getOwnPropertyNames(t).indexOf("greet") !== -1, "should list methods as own properties");
+        assert.strictEqual(t.greet(), "hi foo");
+        assert.ok(t instanceof TestA, "should be an instance of its model");
+        assert.ok(!(t instanceof TestB) && !({} instanceof TestA), "should not be an instance of other models");
+        assert.throws(function() {
+            Object.defineProperty(t, "other", { value: 1 });
+        }, TypeError);
+    });
+
+    it("serializes without hidden attributes or through views", function() {
+        const Post = Model.define({
+            id: { type: Model.Types.Serial, id: true },
+            title: { type: String }
+        });
+        const User = Model.define({
+            id: { type: Model.Types.Serial, id: true },
+            name: { type: String },
+            passwordHash: { type: String, hidden: true }
+        }, {
+            relations: {
+                posts: { hasMany: function() { return Post; }, foreignKey: "userId" }
+            },
+            views: {
+                summary: ["id", "name"],
+                admin: ["id", "name", "passwordHash", "posts"]
+            }
+        });
+        const u = new User({ id: 1, name: "foo", passwordHash: "secret" });
+
+        assert.deepEqual(u.toJSON(), { id: 1, name: "foo" });
+        assert.strictEqual(JSON.stringify({ user: u }), "{\"user\":{\"id\":1,\"name\":\"foo\"}}");
+
+        u.__self__.related.posts = [new Post({ id: 2, title: "bar" })];
+
+        assert.deepEqual(u.toJSON(), { id: 1, name: "foo", posts: [{ id: 2, title: "bar" }] });
+        assert.deepEqual(u.toJSON({ view: "summary" }), { id: 1, name: "foo" });
+        assert.deepEqual(u.toJSON({ view: "admin" }), {
+            id: 1,
+            name: "foo",
+            passwordHash: "secret",
+            posts: [{ id: 2, title: "bar" }]
+        });
+        assert.throws(function() {
+            u.toJSON({ view: "nope" });
+        }, /Unknown view nope/);
+        assert.throws(function() {
+            Model.define({ name: { type: String } }, { views: { summary: ["nope"] } });
+        }, /Unknown attribute or relation nope in view summary/);
+    });
+
+    it("assigns only permitted attributes from input", function() {
+        const User = Model.define({
+            id: { type: Model.Types.Serial, id: true },
+            name: { type: String },
+            age: { type: Model.Types.Integer },
+            role: { type: String, default: "user", readonly: true }
+        });
+        const body = { name: "foo", age: "42", role: "admin", id: 7 };
+        const u = User.prototype.fromInput(body, { permit: ["name", "age"] });
+
+        assert.deepEqual(u.attr(), { id: null, name: "foo", age: 42, role: "user" });
+
+        u.checkpoint();
+        u.assign({ name: "bar", age: 43 }, { permit: ["name"] });
+
+        assert.deepEqual(u.changed(), { name: "bar" });
+
+        const parsed = Object.create(null);
+
+        parsed.name = "baz";
+        u.assign(parsed, { permit: ["name"] });
+        u.assign(JSON.parse("{ \"age\": 44, \"hasOwnProperty\": \"nope\" }"), { permit: ["age"] });
+
+        assert.deepEqual(u.changed(), { name: "baz", age: 44 });
+        assert.throws(function() {
+            u.assign(body, { permit: ["role"] });
+        }, /Attribute role can't be assigned/);
+        assert.throws(function() {
+            u.assign(body);
+        }, /Expected permit/);
+    });
 });
@@ -0,0 +1,106 @@
+"use strict";
+
+const assert = require("assert");
+const bluebird = require("bluebird");
+const DAO = require("../src/dao");
+const Model = require("../src/model");
+const fakeConn = require("./fakes").fakeConn;
+
+describe("keyset pagination", function() {
+
+    const TestType = Model.define({
+        id: { type: Model.Types.Serial, id: true },
+        name: { type: String },
+        rating: { type: Number },
+        createdAt: { type: Date, column: "created_at", required: true }
+    }, {
+        table: "test_types"
+    });
+    const dao = new DAO(TestType.prototype, "test");
+
+    const rows = [
+        { id: 1, name: "a", rating: 3, created_at: new Date(1000) },
+        { id: 2, name: "b", rating: 2, created_at: new Date(2000) },
+        { id: 3, name: "c", rating: 1, created_at: new Date(3000) }
+    ];
+
+    it("lists the first page", function(done) {
+        const conn = fakeConn(rows);
+
+        dao.list(conn, { after: null, limit: 2, orderBy: "createdAt" }).then(function(page) {
+            assert.deepEqual(page.objs.map(function(obj) {
+                return obj.id;
+            }), [1, 2]);
+            assert.strictEqual(page.prevCursor, null);
+            assert.ok(page.nextCursor, "should have a next page");
+            assert.strictEqual(conn.queries[0][0],
+                "SELECT * FROM test.test_types ORDER BY created_at ASC, id ASC LIMIT 3");
+        }).then(done, done);
+    });
+
+    it("seeks past the cursor", function(done) {
+        const conn = fakeConn(rows);
+
+        dao.list(conn, { after: null, limit: 2, orderBy: "createdAt" }).then(function(page) {
+            return dao.list(conn, { after: page.nextCursor, limit: 5, orderBy: "createdAt" });
+        }).then(function(page) {
+            assert.strictEqual(page.nextCursor, null, "should be the last page");
+            assert.ok(page.prevCursor, "should have a previous page");
+            assert.strictEqual(conn.queries[1][0], "SELECT * FROM test.test_types " +
+                "WHERE ((created_at, id) > ($1, $2)) ORDER BY created_at ASC, id ASC LIMIT 6");
+            assert.deepEqual(conn.queries[1][1], [new Date(2000), 2]);
+        }).then(done, done);
+    });
+
+    it("pages backwards on mixed orderings", function(done) {
+        const conn = fakeConn(rows);
+
+        dao.find(conn, { rating: { $gt: 0 } }, { after: null, limit: 2, orderBy: ["-rating", "name"] })
+            .then(function(page) {
+                return dao.find(conn, { rating: { $gt: 0 } },
+                    { before: page.nextCursor, limit: 2, orderBy: ["-rating", "name"] });
+            }).then(function(page) {
+                assert.deepEqual(page.objs.map(function(obj) {
+                    return obj.id;
+                }), [2, 1], "should be back in order");
+                assert.ok(page.prevCursor && page.nextCursor);
+                assert.strictEqual(conn.queries[1][0], "SELECT * FROM test.test_types WHERE (rating > $1 AND ((" +
+                    "(rating > $2 OR rating IS NULL)) OR (rating = $3 AND name < $4) OR " +
+                    "(rating = $5 AND name = $6 AND id < $7))) " +
+                    "ORDER BY rating ASC, name DESC, id DESC LIMIT 3");
+                assert.deepEqual(conn.queries[1][1], [0, 2, 2, "b", 2, "b", 2]);
+            }).then(done, done);
+    });
+
+    it("seeks past null sort values", function(done) {
+        const conn = fakeConn([
+            { id: 1, name: "a", rating: 1, created_at: new Date(1000) },
+            { id: 2, name: "b", rating: null, created_at: new Date(2000) },
+            { id: 3, name: "c", rating: null, created_at: new Date(3000) }
+        ]);
+
+        dao.list(conn, { after: null, limit: 2, orderBy: "rating" }).then(function(page) {
+            return bluebird.all([
+                dao.list(conn, { after: page.nextCursor, limit: 2, orderBy: "rating" }),
+                dao.list(conn, { before: page.nextCursor, limit: 2, orderBy: "rating" })
+            ]);
+        }).then(function() {
+            assert.deepEqual(conn.queries[1], ["SELECT * FROM test.test_types WHERE " +
+                "(((FALSE) OR (rating IS NULL AND id > $1))) ORDER BY rating ASC, id ASC LIMIT 3", [2]]);
+            assert.deepEqual(conn.queries[2], ["SELECT * FROM test.test_types WHERE " +
+                "(((rating IS NOT NULL) OR (rating IS NULL AND id < $1))) ORDER BY rating DESC, id DESC LIMIT 3", [2]]);
+        }).then(done, done);
+    });
+
+    it("rejects cursors of other orderings", function(done) {
+        const conn = fakeConn(rows);
+
+        dao.list(conn, { after: null, limit: 2, orderBy: "createdAt" }).then(function(page) {
+            return dao.list(conn, { after: page.nextCursor, limit: 2, orderBy: "name" });
+        }).then(function() {
+            throw new Error("should have failed");
+        }, function(ex) {
+            assert.strictEqual(ex.message, "Invalid cursor for this ordering");
+        }).then(done, done);
+    });
+});
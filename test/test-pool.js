@@ -0,0 +1,187 @@
+"use strict";
+
+const assert = require("assert");
+const bluebird = require("bluebird");
+const DAO = require("../src/dao");
+const errors = require("../src/errors");
+const Model = require("../src/model");
+const fakePool = require("./fakes").fakePool;
+
+describe("pooled dao", function() {
+
+    const TestType = Model.define({
+        id: { type: Model.Types.Serial, id: true },
+        name: { type: String }
+    }, {
+        table: "test_types"
+    });
+
+    it("checks a client out per call", function(done) {
+        const pool = fakePool([{ id: 1, name: "a" }, { id: 2, name: "b" }]);
+        const dao = new DAO(TestType.prototype, "test", { pool: pool });
+        const seen = [];
+
+        dao.list().progressed(function(obj) {
+            seen.push(obj.name);
+        }).then(function() {
+            assert.deepEqual(seen, ["a", "b"]);
+
+            return dao.find({ name: "a" });
+        }).then(function(objs) {
+            assert.strictEqual(objs.length, 2);
+
+            return dao.findOne({ name: "a" });
+        }).then(function() {
+            throw new Error("should have failed");
+        }, function(ex) {
+            assert.ok(ex instanceof errors.MultipleResultsError, ex.message);
+        }).then(function() {
+            assert.strictEqual(pool.checkedOut, 3);
+            assert.strictEqual(pool.released, 3);
+        }).then(done, done);
+    });
+
+    it("keeps accepting explicit connections", function(done) {
+        const pool = fakePool([{ id: 1, name: "a" }]);
+        const dao = new DAO(TestType.prototype, "test", { pool: pool });
+
+        pool.connect(function(err, client) {
+            bluebird.promisifyAll(client);
+
+            dao.query(client, "SELECT * FROM test.test_types;").collectResults().then(function(objs) {
+                assert.strictEqual(objs[0].name, "a");
+                assert.strictEqual(pool.checkedOut, 1, "should not check out another client");
+            }).then(done, done);
+        });
+    });
+
+    it("runs transactions on one client", function(done) {
+        const pool = fakePool([{ id: 1, name: "a" }]);
+        const dao = new DAO(TestType.prototype, "test", { pool: pool });
+
+        dao.inTransaction(function(tx, txDao) {
+            return txDao.get(1).then(function(obj) {
+                assert.strictEqual(obj.name, "a");
+
+                return dao.using(tx).count();
+            }).then(function() {
+                return dao.get(tx, 1);
+            });
+        }).then(function() {
+            assert.strictEqual(pool.checkedOut, 1);
+            assert.strictEqual(pool.released, 1);
+            assert.strictEqual(pool.discarded, 0);
+            assert.strictEqual(pool.statements()[0], "BEGIN;");
+            assert.strictEqual(pool.statements()[pool.queries.length - 1], "COMMIT;");
+        }).then(done, done);
+    });
+
+    it("joins the transaction of any DAO on the same pool", function(done) {
+        const OtherType = Model.define({
+            id: { type: Model.Types.Serial, id: true },
+            name: { type: String }
+        }, {
+            table: "other_types"
+        });
+        const pool = fakePool([{ id: 1, name: "a" }]);
+        const dao = new DAO(TestType.prototype, "test", { pool: pool });
+        const otherDao = new DAO(OtherType.prototype, "test", { pool: pool });
+
+        dao.inTransaction(function() {
+            return otherDao.save(new OtherType({ name: "a" })).then(function() {
+                return otherDao.inTransaction(function() {
+                    return otherDao.get(1);
+                });
+            });
+        }).then(function() {
+            assert.strictEqual(pool.checkedOut, 1, "should not check out another client");
+            assert.strictEqual(pool.released, 1);
+            assert.deepEqual(pool.statements().filter(function(sql) {
+                return !/^(INSERT|SELECT)/.test(sql);
+            }), ["BEGIN;", "SAVEPOINT excalipur_1;", "RELEASE SAVEPOINT excalipur_1;", "COMMIT;"]);
+
+            return otherDao.get(1);
+        }).then(function() {
+            assert.strictEqual(pool.checkedOut, 2, "should check out a client once the transaction is over");
+        }).then(done, done);
+    });
+
+    it("keeps clients when postgres or the application reports an error", function(done) {
+        const pool = fakePool([]);
+        const dao = new DAO(TestType.prototype, "test", { pool: pool });
+
+        dao.getOrFail(1).then(function() {
+            throw new Error("should have failed");
+        }, function(ex) {
+            assert.ok(ex instanceof errors.NotFoundError, ex.message);
+
+            return dao.inTransaction(function() {
+                throw new Error("oops");
+            });
+        }).then(function() {
+            throw new Error("should have failed");
+        }, function(ex) {
+            assert.strictEqual(ex.message, "oops");
+            assert.strictEqual(pool.released, 2);
+            assert.strictEqual(pool.discarded, 0);
+        }).then(done, done);
+    });
+
+    it("discards clients whose connection fails", function(done) {
+        const pool = fakePool(function(sql) {
+            const err = new Error("read ECONNRESET");
+
+            err.syscall = "read";
+
+            if (/^SELECT/.test(sql)) {
+                throw err;
+            }
+        });
+        const dao = new DAO(TestType.prototype, "test", { pool: pool });
+
+        dao.get(1).then(function() {
+            throw new Error("should have failed");
+        }, function(ex) {
+            assert.strictEqual(ex.message, "read ECONNRESET");
+            assert.strictEqual(pool.discarded, 1, "should release with the error");
+        }).then(done, done);
+    });
+
+    it("discards clients whose connection ends", function(done) {
+        const pool = fakePool(function(sql) {
+            if (/^SELECT/.test(sql)) {
+                pool.clients[0].emit("end");
+
+                throw new Error("Stream unexpectedly ended during query execution");
+            }
+        });
+        const dao = new DAO(TestType.prototype, "test", { pool: pool });
+
+        dao.get(1).then(function() {
+            throw new Error("should have failed");
+        }, function() {
+            assert.strictEqual(pool.discarded, 1, "should release with the error");
+            assert.strictEqual(pool.clients[0].listeners("end").length, 0);
+        }).then(done, done);
+    });
+
+    it("discards clients that fail to roll back", function(done) {
+        const pool = fakePool(function(sql) {
+            if (sql === "ROLLBACK;") {
+                throw new Error("connection terminated");
+            }
+        });
+        const dao = new DAO(TestType.prototype, "test", { pool: pool });
+
+        dao.inTransaction(function() {
+            throw new Error("oops");
+        }).then(function() {
+            throw new Error("should have failed");
+        }, function(ex) {
+            assert.strictEqual(ex.message, "oops");
+            assert.deepEqual(pool.statements(), ["BEGIN;", "ROLLBACK;"]);
+            assert.strictEqual(pool.released, 1);
+            assert.strictEqual(pool.discarded, 1, "should release with the error");
+        }).then(done, done);
+    });
+});
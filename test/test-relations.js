@@ -0,0 +1,104 @@
+"use strict";
+
+const assert = require("assert");
+const DAO = require("../src/dao");
+const Model = require("../src/model");
+const fakeConn = require("./fakes").fakeConn;
+
+describe("relations", function() {
+
+    const Country = Model.define({
+        code: { type: String, id: true },
+        name: { type: String }
+    }, {
+        table: "countries"
+    });
+    const Line = Model.define({
+        orderNo: { type: Number, column: "order_no" },
+        lineNo: { type: Number, column: "line_no" },
+        amount: { type: Number }
+    }, {
+        table: "lines"
+    });
+    const Order = Model.define({
+        orderNo: { type: Number, column: "order_no", id: true },
+        lineNo: { type: Number, column: "line_no", id: true },
+        countryCode: { type: String, column: "country_code" }
+    }, {
+        table: "orders",
+        relations: {
+            country: { belongsTo: Country, foreignKey: "countryCode" },
+            lines: { hasMany: Line, foreignKey: ["orderNo", "lineNo"] },
+            tags: { manyToMany: Country, through: "order_tags", foreignKey: "order_no", otherKey: "code" }
+        }
+    });
+    const dao = new DAO(Order.prototype, "test");
+
+    it("loads belongsTo relations by the id attributes of the related model", function(done) {
+        const conn = fakeConn([{ code: "NZ", name: "New Zealand" }]);
+        const orders = [
+            new Order({ orderNo: 1, lineNo: 1, countryCode: "NZ" }),
+            new Order({ orderNo: 2, lineNo: 1, countryCode: "NZ" }),
+            new Order({ orderNo: 3, lineNo: 1, countryCode: null })
+        ];
+
+        dao.loadRelated(conn, orders, "country").then(function() {
+            assert.deepEqual(conn.queries[0], ["SELECT * FROM test.countries WHERE (code IN ($1)) ORDER BY code ASC",
+                ["NZ"]]);
+            assert.strictEqual(orders[0].country.name, "New Zealand");
+            assert.strictEqual(orders[1].country, orders[0].country);
+            assert.strictEqual(orders[2].country, null);
+        }).then(done, done);
+    });
+
+    it("loads hasMany relations on composite keys", function(done) {
+        const conn = fakeConn([
+            { order_no: 1, line_no: 2, amount: 5 },
+            { order_no: 1, line_no: 2, amount: 6 }
+        ]);
+        const orders = [new Order({ orderNo: 1, lineNo: 1 }), new Order({ orderNo: 1, lineNo: 2 })];
+
+        dao.loadRelated(conn, orders, "lines").then(function() {
+            assert.deepEqual(conn.queries[0], [
+                "SELECT * FROM test.lines " +
+                    "WHERE (((order_no = $1 AND line_no = $2) OR (order_no = $3 AND line_no = $4)))",
+                [1, 1, 1, 2]
+            ]);
+            assert.deepEqual(orders[0].lines, []);
+            assert.deepEqual(orders[1].lines.map(function(line) {
+                return line.amount;
+            }), [5, 6]);
+        }).then(done, done);
+    });
+
+    it("loads manyToMany relations by the id attributes of both models", function(done) {
+        const Region = Model.define({
+            slug: { type: String, id: true }
+        }, {
+            table: "regions",
+            relations: {
+                countries: { manyToMany: Country, through: "region_countries", foreignKey: "slug", otherKey: "code" }
+            }
+        });
+        const conn = fakeConn([{ code: "NZ", name: "New Zealand", __owner__: "oceania" }]);
+        const regions = [new Region({ slug: "oceania" }), new Region({ slug: "antarctica" })];
+
+        new DAO(Region.prototype, "test").loadRelated(conn, regions, "countries").then(function() {
+            assert.deepEqual(conn.queries[0], [
+                "SELECT t.*, j.slug AS \"__owner__\" FROM test.countries t INNER JOIN test.region_countries j " +
+                    "ON (j.code = t.code) WHERE (j.slug IN ($1, $2)) ORDER BY t.code ASC",
+                ["oceania", "antarctica"]
+            ]);
+            assert.strictEqual(regions[0].countries[0].name, "New Zealand");
+            assert.deepEqual(regions[1].countries, []);
+        }).then(done, done);
+    });
+
+    it("refuses manyToMany relations on composite keys", function(done) {
+        dao.loadRelated(fakeConn([]), [new Order({ orderNo: 1, lineNo: 1 })], "tags").then(function() {
+            throw new Error("should have failed");
+        }, function(ex) {
+            assert.strictEqual(ex.message, "Expected single attribute ids on both sides of relation tags");
+        }).then(done, done);
+    });
+});
@@ -0,0 +1,124 @@
+"use strict";
+
+const assert = require("assert");
+const bluebird = require("bluebird");
+const DAO = require("../src/dao");
+const Model = require("../src/model");
+const fakeConn = require("./fakes").fakeConn;
+
+describe("soft delete", function() {
+
+    const Tag = Model.define({
+        id: { type: Model.Types.Serial, id: true },
+        deletedAt: { type: Date, column: "deleted_at" }
+    }, {
+        table: "tags",
+        softDelete: "deletedAt"
+    });
+    const Note = Model.define({
+        id: { type: Model.Types.Serial, id: true },
+        text: { type: String },
+        deletedAt: { type: Date, column: "deleted_at" }
+    }, {
+        table: "notes",
+        softDelete: "deletedAt",
+        relations: {
+            tags: { manyToMany: Tag, through: "note_tags", foreignKey: "note_id", otherKey: "tag_id" }
+        }
+    });
+    const dao = new DAO(Note.prototype, "test");
+    const deletedAt = new Date("2024-01-02T03:04:05Z");
+
+    it("sets the timestamp on destroy and clears it on restore", function(done) {
+        const conn = fakeConn(function(sql) {
+            return [{ id: 1, text: "a", deleted_at: /now\(\)/.test(sql) ? deletedAt : null }];
+        });
+        const obj = new Note({ id: 1, text: "a" });
+
+        obj.checkpoint();
+
+        dao.destroy(conn, obj).then(function() {
+            assert.deepEqual(conn.queries[0], [
+                "UPDATE test.notes SET deleted_at = now() WHERE (((id = $1) AND (deleted_at IS NULL))) RETURNING *",
+                [1]
+            ]);
+            assert.strictEqual(obj.deletedAt.getTime(), deletedAt.getTime());
+            assert.strictEqual(obj.hasChanged("deletedAt"), false);
+
+            return dao.restore(conn, obj);
+        }).then(function(res) {
+            assert.strictEqual(res, obj);
+            assert.deepEqual(conn.queries[1], ["UPDATE test.notes SET deleted_at = NULL WHERE (id = $1) RETURNING *",
+                [1]]);
+            assert.strictEqual(obj.deletedAt, null);
+
+            return dao.destroy(conn, 1, { force: true });
+        }).then(function() {
+            assert.deepEqual(conn.queries[2], ["DELETE FROM test.notes WHERE (id = $1)", [1]]);
+        }).then(done, done);
+    });
+
+    it("leaves deleted rows out of reads unless asked for them", function(done) {
+        const conn = fakeConn([{ id: 1, text: "a", deleted_at: null }]);
+
+        bluebird.all([
+            dao.get(conn, 1),
+            dao.list(conn).collectResults(),
+            dao.find(conn, { text: "a" }),
+            dao.count(conn, { where: { text: "a" } })
+        ]).then(function() {
+            assert.deepEqual(conn.statements(), [
+                "SELECT * FROM test.notes WHERE (((id = $1) AND (deleted_at IS NULL)))",
+                "SELECT * FROM test.notes WHERE (deleted_at IS NULL) ORDER BY id ASC",
+                "SELECT * FROM test.notes WHERE (((text = $1) AND (deleted_at IS NULL))) ORDER BY id ASC",
+                "SELECT count(*) AS \"value\" FROM test.notes WHERE ((text = $1) AND (deleted_at IS NULL))"
+            ]);
+
+            return bluebird.all([
+                dao.find(conn, { text: "a" }, { withDeleted: true }),
+                dao.find(conn, { text: "a" }, { onlyDeleted: true })
+            ]);
+        }).then(function() {
+            assert.deepEqual(conn.statements().slice(4), [
+                "SELECT * FROM test.notes WHERE (text = $1) ORDER BY id ASC",
+                "SELECT * FROM test.notes WHERE (((text = $1) AND (deleted_at IS NOT NULL))) ORDER BY id ASC"
+            ]);
+        }).then(done, done);
+    });
+
+    it("soft deletes in destroyWhere unless forced", function(done) {
+        const conn = fakeConn([{ id: 1, text: "a", deleted_at: deletedAt }]);
+
+        dao.destroyWhere(conn, { text: "a" }, { returning: true }).then(function(res) {
+            assert.strictEqual(res.count, 1);
+            assert.strictEqual(res.objs[0].deletedAt.getTime(), deletedAt.getTime());
+            assert.deepEqual(conn.queries[0], [
+                "UPDATE test.notes SET deleted_at = now() WHERE (((text = $1) AND (deleted_at IS NULL))) RETURNING *",
+                ["a"]
+            ]);
+
+            return dao.destroyWhere(conn, { text: "a" }, { force: true });
+        }).then(function() {
+            assert.deepEqual(conn.queries[1], ["DELETE FROM test.notes WHERE (text = $1)", ["a"]]);
+        }).then(done, done);
+    });
+
+    it("leaves deleted rows out of many to many relations", function(done) {
+        const conn = fakeConn([{ id: 7, deleted_at: null, __owner__: 1 }]);
+        const note = new Note({ id: 1, text: "a" });
+
+        dao.loadRelated(conn, [note], "tags").then(function() {
+            assert.ok(/ AND \(t\.deleted_at IS NULL\)/.test(conn.statements()[0]), conn.statements()[0]);
+            assert.strictEqual(note.tags.length, 1);
+            assert.strictEqual(note.tags[0].id, 7);
+        }).then(done, done);
+    });
+
+    it("runs queries as given", function(done) {
+        const conn = fakeConn([]);
+
+        dao.query(conn, "SELECT * FROM test.notes").collectResults().then(function() {
+            assert.deepEqual(conn.statements(), ["SELECT * FROM test.notes"]);
+        }).then(done, done);
+    });
+});
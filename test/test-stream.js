@@ -0,0 +1,189 @@
+"use strict";
+
+const assert = require("assert");
+const bluebird = require("bluebird");
+const DAO = require("../src/dao");
+const Model = require("../src/model");
+const fakeConn = require("./fakes").fakeConn;
+
+describe("streams", function() {
+
+    const TestType = Model.define({
+        id: { type: Model.Types.Serial, id: true },
+        name: { type: String }
+    }, {
+        table: "test_types"
+    });
+
+    // serves FETCHes from `rows` like a cursor would, until it is closed
+    function fakeCursorConn(rows, failAt) {
+        let position = 0;
+        let closed = false;
+
+        return fakeConn(function(sql) {
+            const fetch = /^FETCH (\d+)/.exec(sql);
+
+            if (/^CLOSE/.test(sql)) {
+                closed = true;
+            } else if (fetch && closed) {
+                throw new Error("cursor does not exist");
+            } else if (fetch && failAt !== undefined && position >= failAt) {
+                throw new Error("fetch failed");
+            } else if (fetch) {
+                const batch = rows.slice(position, position + parseInt(fetch[1], 10));
+
+                position += batch.length;
+
+                return batch;
+            }
+        });
+    }
+
+    function rows(n) {
+        const res = [];
+
+        for (let i = 1; i <= n; i++) {
+            res.push({ id: i, name: "thing " + i });
+        }
+
+        return res;
+    }
+
+    it("reads through a cursor in batches", function(done) {
+        const conn = fakeCursorConn(rows(5));
+        const dao = new DAO(TestType.prototype, "test", { batchSize: 2 });
+        const names = [];
+
+        dao.stream(conn, "SELECT * FROM test.test_types WHERE id > $1", 0).on("data", function(obj) {
+            names.push(obj.name);
+        }).on("error", done).on("end", function() {
+            try {
+                assert.deepEqual(names, ["thing 1", "thing 2", "thing 3", "thing 4", "thing 5"]);
+                assert.strictEqual(conn.statements()[0], "BEGIN;");
+                assert.strictEqual(conn.queries[1][0].replace(/_\d+/, "_1"),
+                    "DECLARE excalipur_cursor_1 NO SCROLL CURSOR FOR SELECT * FROM test.test_types WHERE id > $1");
+                assert.deepEqual(conn.queries[1][1], [0]);
+                assert.strictEqual(conn.statements().filter(function(sql) {
+                    return /^FETCH 2 FROM/.test(sql);
+                }).length, 3);
+                assert.ok(/^CLOSE excalipur_cursor_\d+;$/.test(conn.statements()[conn.queries.length - 2]));
+                assert.strictEqual(conn.statements()[conn.queries.length - 1], "COMMIT;");
+                done();
+            } catch (ex) {
+                done(ex);
+            }
+        });
+    });
+
+    it("ends without fetching past the last batch", function(done) {
+        const conn = fakeCursorConn(rows(5));
+        const dao = new DAO(TestType.prototype, "test", { batchSize: 2 });
+        let count = 0;
+
+        dao.list(conn, { stream: true }).on("data", function() {
+            count++;
+        }).on("error", done).on("end", function() {
+            try {
+                assert.strictEqual(count, 5);
+                assert.ok(/^CLOSE/.test(conn.statements()[conn.queries.length - 2]), "should not fetch after closing");
+                assert.strictEqual(conn.statements()[conn.queries.length - 1], "COMMIT;");
+                done();
+            } catch (ex) {
+                done(ex);
+            }
+        });
+    });
+
+    it("only fetches as much as is read", function(done) {
+        const conn = fakeCursorConn(rows(100));
+        const dao = new DAO(TestType.prototype, "test", { batchSize: 10 });
+        const s = dao.list(conn, { stream: true });
+
+        s.once("readable", function() {
+            setImmediate(function() {
+                try {
+                    assert.ok(conn.statements().filter(function(sql) {
+                        return /^FETCH/.test(sql);
+                    }).length <= 2, "should stop fetching while the buffer is full");
+                    s.destroy();
+                } catch (ex) {
+                    done(ex);
+                }
+            });
+        });
+        s.on("close", function() {
+            try {
+                assert.strictEqual(conn.statements()[conn.queries.length - 1], "ROLLBACK;");
+                done();
+            } catch (ex) {
+                done(ex);
+            }
+        });
+    });
+
+    it("rolls back and emits errors", function(done) {
+        const conn = fakeCursorConn(rows(5), 2);
+        const dao = new DAO(TestType.prototype, "test", { batchSize: 2 });
+
+        dao.list(conn, { stream: true }).on("data", function() {}).on("error", function(ex) {
+            try {
+                assert.strictEqual(ex.message, "fetch failed");
+                assert.strictEqual(conn.statements()[conn.queries.length - 1], "ROLLBACK;");
+                done();
+            } catch (ex2) {
+                done(ex2);
+            }
+        });
+    });
+
+    it("declares the cursor in a savepoint inside transactions", function(done) {
+        const conn = fakeCursorConn(rows(1));
+        const dao = new DAO(TestType.prototype, "test");
+
+        DAO.inTransaction(conn, function(tx) {
+            return new bluebird(function(resolve, reject) {
+                dao.stream(tx, "SELECT * FROM test.test_types").on("data", function() {})
+                    .on("error", reject).on("end", resolve);
+            });
+        }).then(function() {
+            assert.strictEqual(conn.statements()[0], "BEGIN;");
+            assert.strictEqual(conn.statements()[1], "SAVEPOINT excalipur_1;");
+            assert.strictEqual(conn.statements()[conn.queries.length - 2], "RELEASE SAVEPOINT excalipur_1;");
+            assert.strictEqual(conn.statements()[conn.queries.length - 1], "COMMIT;");
+        }).then(done, done);
+    });
+
+    it("keeps streams on bare connections apart from their transactions", function(done) {
+        const conn = fakeCursorConn(rows(3));
+        const dao = new DAO(TestType.prototype, "test", { batchSize: 2 });
+
+        DAO.inTransaction(conn, function() {
+            return new bluebird(function(resolve, reject) {
+                dao.list(conn, { stream: true }).on("data", function() {
+                    reject(new Error("should have failed"));
+                }).on("error", resolve);
+            });
+        }).then(function(ex) {
+            assert.strictEqual(ex.message, "Connection has a transaction open, stream on it instead");
+            assert.deepEqual(conn.statements(), ["BEGIN;", "COMMIT;"]);
+
+            return new bluebird(function(resolve, reject) {
+                const s = dao.list(conn, { stream: true });
+
+                s.once("data", function() {
+                    DAO.inTransaction(conn, function() {
+                        return null;
+                    }).then(function() {
+                        reject(new Error("should have failed"));
+                    }, function(ex) {
+                        assert.strictEqual(ex.message, "Connection is in use by a transaction that can't be joined");
+                        s.on("data", function() {}).on("end", resolve);
+                    }).catch(reject);
+                }).on("error", reject);
+            });
+        }).then(function() {
+            assert.ok(conn.statements().indexOf("SAVEPOINT excalipur_1;") === -1, "should not nest in the stream");
+            assert.strictEqual(conn.statements()[conn.queries.length - 1], "COMMIT;");
+        }).then(done, done);
+    });
+});
@@ -0,0 +1,137 @@
+"use strict";
+
+const assert = require("assert");
+const bluebird = require("bluebird");
+const DAO = require("../src/dao");
+const fakeConn = require("./fakes").fakeConn;
+
+describe("transactions", function() {
+
+    it("commits and hands the callback a transaction", function(done) {
+        const conn = fakeConn();
+
+        DAO.inTransaction(conn, function(tx) {
+            assert.ok(tx instanceof DAO.Transaction);
+
+            return tx.queryAsync("SELECT 1;").then(function() {
+                return "result";
+            });
+        }).then(function(res) {
+            assert.strictEqual(res, "result");
+            assert.deepEqual(conn.statements(), ["BEGIN;", "SELECT 1;", "COMMIT;"]);
+        }).then(done, done);
+    });
+
+    it("sets the transaction modes", function(done) {
+        const conn = fakeConn();
+
+        DAO.inTransaction(conn, function() {
+            return null;
+        }, { isolationLevel: "serializable", readOnly: true, deferrable: true }).then(function() {
+            assert.deepEqual(conn.statements(), [
+                "BEGIN ISOLATION LEVEL SERIALIZABLE READ ONLY DEFERRABLE;",
+                "COMMIT;"
+            ]);
+            assert.throws(function() {
+                DAO.Transaction.begin({ isolationLevel: "whatever" });
+            }, /Unknown isolation level/);
+        }).then(done, done);
+    });
+
+    it("rolls back on errors and when asked to", function(done) {
+        const conn = fakeConn();
+
+        DAO.inTransaction(conn, function() {
+            throw new Error("oops");
+        }).then(function() {
+            throw new Error("should have failed");
+        }, function(ex) {
+            assert.strictEqual(ex.message, "oops");
+
+            return DAO.inTransaction(conn, function() {
+                return null;
+            }, { rollback: true });
+        }).then(function() {
+            assert.deepEqual(conn.statements(), ["BEGIN;", "ROLLBACK;", "BEGIN;", "ROLLBACK;"]);
+        }).then(done, done);
+    });
+
+    it("keeps the original error when rolling back fails", function(done) {
+        const conn = fakeConn(function(sql) {
+            if (sql === "ROLLBACK;") {
+                throw new Error("connection terminated");
+            }
+        });
+
+        DAO.inTransaction(conn, function() {
+            throw new Error("oops");
+        }).then(function() {
+            throw new Error("should have failed");
+        }, function(ex) {
+            assert.strictEqual(ex.message, "oops");
+            assert.strictEqual(ex.rollbackError.message, "connection terminated");
+            assert.deepEqual(conn.statements(), ["BEGIN;", "ROLLBACK;"]);
+        }).then(done, done);
+    });
+
+    it("nests in savepoints", function(done) {
+        const conn = fakeConn();
+
+        DAO.inTransaction(conn, bluebird.coroutine(function*(tx) {
+            yield tx.inTransaction(function(inner) {
+                assert.strictEqual(inner.parent, tx);
+
+                return inner.queryAsync("SELECT 1;");
+            });
+
+            try {
+                // transactions started on the bare connection nest too
+                yield DAO.inTransaction(conn, function() {
+                    throw new Error("oops");
+                });
+            } catch (ex) {
+                assert.strictEqual(ex.message, "oops");
+            }
+        })).then(function() {
+            assert.deepEqual(conn.statements(), [
+                "BEGIN;",
+                "SAVEPOINT excalipur_1;",
+                "SELECT 1;",
+                "RELEASE SAVEPOINT excalipur_1;",
+                "SAVEPOINT excalipur_1;",
+                "ROLLBACK TO SAVEPOINT excalipur_1;",
+                "RELEASE SAVEPOINT excalipur_1;",
+                "COMMIT;"
+            ]);
+
+            return DAO.inTransaction(conn, function() {
+                return null;
+            });
+        }).then(function() {
+            assert.strictEqual(conn.statements()[conn.queries.length - 2], "BEGIN;", "should be top level again");
+        }).then(done, done);
+    });
+
+    it("refuses modes on nested transactions and queries on finished ones", function(done) {
+        const conn = fakeConn();
+        let outer = null;
+
+        DAO.inTransaction(conn, function(tx) {
+            outer = tx;
+
+            return tx.inTransaction(function() {
+                return null;
+            }, { isolationLevel: "serializable" });
+        }).then(function() {
+            throw new Error("should have failed");
+        }, function(ex) {
+            assert.ok(/Nested transactions/.test(ex.message), ex.message);
+
+            return outer.queryAsync("SELECT 1;");
+        }).then(function() {
+            throw new Error("should have failed");
+        }, function(ex) {
+            assert.strictEqual(ex.message, "Transaction is finished");
+        }).then(done, done);
+    });
+});
@@ -0,0 +1,73 @@
+"use strict";
+
+const assert = require("assert");
+const types = require("../src/types");
+const Types = types.Types;
+
+describe("types", function() {
+
+    it("converts integers", function() {
+        assert.strictEqual(Types.Integer.fromDb("42"), 42);
+        assert.strictEqual(Types.Integer.coerce(" -7 "), -7);
+        assert.strictEqual(Types.Integer.coerce("4.5"), "4.5", "should leave non-integers alone");
+    });
+
+    it("converts bigints that fit into numbers", function() {
+        assert.strictEqual(Types.BigInt.fromDb("9007199254740991"), 9007199254740991);
+        assert.strictEqual(Types.BigInt.fromDb("9007199254740993"), "9007199254740993", "should keep precision");
+    });
+
+    it("converts decimals", function() {
+        assert.strictEqual(Types.Decimal.fromDb("12.50"), 12.5);
+        assert.strictEqual(Types.Decimal.coerce("abc"), "abc", "should leave non-numbers alone");
+        assert.strictEqual(Types.Decimal.fromDb("1000000000000000000000.000"), 1e21);
+        assert.strictEqual(Types.Decimal.fromDb("12345678901234567890.123456789"), "12345678901234567890.123456789",
+            "should keep precision");
+    });
+
+    it("converts doubles", function() {
+        assert.strictEqual(Types.Double.fromDb("2.3333333333333333"), 7 / 3);
+        assert.strictEqual(Types.Double.fromDb(1.5), 1.5);
+        assert.strictEqual(Types.Double.coerce("abc"), "abc", "should leave non-numbers alone");
+    });
+
+    it("round trips JSON", function() {
+        assert.strictEqual(Types.JSON.toDb([1, 2]), "[1,2]");
+        assert.deepEqual(Types.JSONB.fromDb("{\"a\":1}"), { a: 1 });
+        assert.deepEqual(Types.JSONB.fromDb({ a: 1 }), { a: 1 }, "should keep values the driver parsed");
+        assert.strictEqual(Types.JSON.fromDb("123"), "123", "should not parse what the driver parsed again");
+        assert.strictEqual(Types.JSONB.fromDb("\"123\""), "123");
+    });
+
+    it("converts dates and timestamps", function() {
+        assert.strictEqual(Types.DateOnly.fromDb(new Date(2014, 1, 3)), "2014-02-03");
+        assert.strictEqual(Types.DateOnly.coerce("2014-02-03"), "2014-02-03");
+        assert.strictEqual(Types.Timestamp.coerce("2014-02-03T04:05:06Z").getTime(), Date.UTC(2014, 1, 3, 4, 5, 6));
+        assert.strictEqual(Types.Timestamp.coerce("not a date"), "not a date");
+    });
+
+    it("leaves null and plain constructors alone", function() {
+        assert.strictEqual(types.convert(Types.Integer, "fromDb", null), null);
+        assert.strictEqual(types.convert(String, "coerce", 55), 55);
+        assert.ok(types.convert(Date, "coerce", "2014-02-03T04:05:06Z") instanceof Date);
+    });
+
+    it("registers custom types", function() {
+        const Cents = types.register("TestCents", {
+            fromDb: function(value) {
+                return parseInt(value, 10) / 100;
+            },
+            toDb: function(value) {
+                return Math.round(value * 100);
+            }
+        });
+
+        assert.strictEqual(Types.TestCents, Cents);
+        assert.strictEqual(Cents.fromDb("1250"), 12.5);
+        assert.strictEqual(Cents.toDb(12.5), 1250);
+        assert.strictEqual(Cents.coerce(12.5), 12.5);
+        assert.throws(function() {
+            types.register("TestCents", {});
+        });
+    });
+});
@@ -0,0 +1,55 @@
+"use strict";
+
+const assert = require("assert");
+const DAO = require("../src/dao");
+const Model = require("../src/model");
+const fakeConn = require("./fakes").fakeConn;
+
+describe("upserts", function() {
+
+    const TestType = Model.define({
+        id: { type: Model.Types.Serial, id: true },
+        name: { type: String }
+    }, {
+        table: "test_types"
+    });
+    const dao = new DAO(TestType.prototype, "test");
+
+    it("tells inserts from updates", function(done) {
+        const conn = fakeConn([{ id: 1, name: "b", __inserted__: false }]);
+        const obj = new TestType({ id: 1, name: "b" });
+
+        dao.upsert(conn, obj, { onConflict: { target: "id", doUpdate: ["name"] } }).then(function(res) {
+            assert.deepEqual(conn.queries[0], [
+                "INSERT INTO test.test_types (id, name) VALUES ($1, $2) ON CONFLICT (id) DO UPDATE SET " +
+                    "name = EXCLUDED.name RETURNING *, (xmax = 0) AS __inserted__",
+                [1, "b"]
+            ]);
+            assert.strictEqual(res.obj, obj);
+            assert.strictEqual(res.inserted, false);
+            assert.strictEqual(res.updated, true);
+
+            return dao.upsert(fakeConn([]), new TestType({ id: 1, name: "c" }), {
+                onConflict: { target: "id", doNothing: true }
+            });
+        }).then(function(res) {
+            assert.strictEqual(res.inserted, false);
+            assert.strictEqual(res.updated, false);
+
+            return dao.upsert(conn, obj);
+        }).then(function() {
+            throw new Error("should have failed");
+        }, function(ex) {
+            assert.strictEqual(ex.message, "Expected opts.onConflict");
+        }).then(done, done);
+    });
+
+    it("keeps save resolving to the model", function(done) {
+        const conn = fakeConn([{ id: 1, name: "a", __inserted__: true }]);
+        const obj = new TestType({ id: 1, name: "a" });
+
+        dao.save(conn, obj, { onConflict: { target: "id", doNothing: true } }).then(function(res) {
+            assert.strictEqual(res, obj);
+        }).then(done, done);
+    });
+});
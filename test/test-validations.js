@@ -0,0 +1,65 @@
+"use strict";
+
+const assert = require("assert");
+const bluebird = require("bluebird");
+const validations = require("../src/validations");
+
+describe("validations", function() {
+
+    it("checks integers, lengths and patterns", function() {
+        assert.deepEqual(validations.isInteger(3), [true]);
+        assert.deepEqual(validations.isInteger(3.5), [false, "expected integer"]);
+        assert.deepEqual(validations.hasLength("abc", 1, 3), [true]);
+        assert.deepEqual(validations.hasLength([1, 2], 3), [false, "expected length >= 3"]);
+        assert.deepEqual(validations.hasLength("abcd", 0, 3), [false, "expected length <= 3"]);
+        assert.deepEqual(validations.matches("abc", /^a/), [true]);
+        assert.deepEqual(validations.matches("xbc", /^a/), [false, "expected to match /^a/"]);
+    });
+
+    it("checks emails, URLs, UUIDs and enums", function() {
+        assert.deepEqual(validations.isEmail("someone@example.com"), [true]);
+        assert.deepEqual(validations.isEmail("someone@example"), [false, "expected email"]);
+        assert.deepEqual(validations.isURL("https://example.com/a?b=c"), [true]);
+        assert.deepEqual(validations.isURL("example.com"), [false, "expected URL"]);
+        assert.deepEqual(validations.isUUID("6F9619FF-8B86-D011-B42D-00CF4FC964FF"), [true]);
+        assert.deepEqual(validations.isUUID("6F9619FF-8B86-D011-B42D"), [false, "expected UUID"]);
+        assert.deepEqual(validations.isIn("b", ["a", "b"]), [true]);
+        assert.deepEqual(validations.isIn("c", ["a", "b"]), [false, "expected one of a, b"]);
+    });
+
+    it("lets null through optional validations", function() {
+        const optionalString = validations.optional(validations.isString);
+        const optionalShort = validations.optional([validations.hasLength, 0, 2]);
+
+        assert.deepEqual(optionalString(null), [true]);
+        assert.deepEqual(optionalString(undefined), [true]);
+        assert.deepEqual(optionalString(5), [false, "expected string"]);
+        assert.deepEqual(optionalShort("abc"), [false, "expected length <= 2"]);
+    });
+
+    it("checks array elements and object shapes", function() {
+        const tags = validations.arrayOf(validations.isString, [validations.hasLength, 1]);
+        const address = validations.shape({
+            city: [validations.isNotNull, validations.isString],
+            zip: [validations.optional([validations.matches, /^\d{5}$/])]
+        });
+
+        assert.deepEqual(tags(["a", "b"]), [true]);
+        assert.deepEqual(tags(["a", ""]), [false, "[1]: expected length >= 1"]);
+        assert.deepEqual(tags("a"), [false, "expected array"]);
+        assert.deepEqual(address({ city: "Oslo" }), [true]);
+        assert.deepEqual(address({ zip: "0150" }), [false, "city: expected not null"]);
+        assert.deepEqual(validations.arrayOf(address)([{ city: "Oslo", zip: "x" }]),
+            [false, "[0]: zip: expected to match /^\\d{5}$/"]);
+    });
+
+    it("waits for asynchronous element validations", function(done) {
+        const later = function(value) {
+            return bluebird.resolve(value > 0 ? [true] : [false, "expected positive"]);
+        };
+
+        validations.arrayOf(later)([1, -1]).then(function(result) {
+            assert.deepEqual(result, [false, "[1]: expected positive"]);
+        }).then(done, done);
+    });
+});